@@ -1,862 +1,1536 @@
-'use strict';
-import * as PIXI from 'pixi.js';
-import 'pixi-action';
-import EventEmitter from 'eventemitter3';
-
-import PlaybookEvents,
-  { FriendlyNames as PlaybookEventsFriendlyNames, 
-  Teams as PlaybookEventsTeams,
-  StringMap as PlaybookEventsStringMap} from './lib/PlaybookEvents';
-
-// The Playbook Bridge is supplied via addJavaScriptInterface() on the Java
-// side of the code. In the absence of that, we need to mock one.
-if (!global.PlaybookCollectionBridge) {
-  /** @type {Object<string, function>} */
-  global.PlaybookCollectionBridge = {
-    /**
-     * Returns the URL of the WebSocket server.
-     * @returns {string}
-     */
-    getAPIUrl: function () {
-      return 'ws://localhost:9001';
-    },
-
-    /**
-     * Returns the URL of the Section API server.
-     * @returns {string}
-     */
-    getSectionAPIUrl: function () {
-      return 'http://localhost:9002';
-    },
-
-    /**
-     * Returns the ID of the current player.
-     * This is stubbed.
-     * @returns {string}
-     */
-    getPlayerID: function () {
-      return 1;
-    },
-
-    /**
-     * Notifies the hosting application of the new state of the game.
-     * This is a no-op for the mock bridge.
-     * @type {string} stateJSON
-     */
-    notifyGameState: function (stateJSON) {
-      console.log('Saving state: ', stateJSON);
-      localStorage.setItem('prediction', stateJSON);
-    },
-
-    /**
-     * Notifies the hosting application that we have finished loading.
-     * This is a no-op for the mock bridge.
-     */
-    notifyLoaded: function () {
-      const restoredState = localStorage.getItem('prediction');
-      console.log('Loading state: ', restoredState);
-      if (restoredState != null) {
-        state.fromJSON(restoredState);
-      }
-    }
-  };
-} else {
-  // Receive messages from the hosting application.
-  global.addEventListener('message', function (e) {
-    const message = e.data;
-    switch (message.action) {
-      case 'RESTORE_GAME_STATE':
-        console.log('Restoring state from hosting application: ');
-        state.fromJSON(message.payload);
-        break;
-      case 'HANDLE_MESSAGE':
-        console.log('Handling message from hosting application: ');
-        handleIncomingMessage(message.payload);
-        break;
-    }
-  });
-}
-
-const GoalTypes = {
-  IDENTICAL_CARDS_3: "IDENTICAL_CARDS_3",
-  IDENTICAL_CARDS_4: "IDENTICAL_CARDS_4",
-  IDENTICAL_CARDS_5: "IDENTICAL_CARDS_5",
-  UNIQUE_OUT_CARDS_3: "UNIQUE_OUT_CARDS_3",
-  UNIQUE_OUT_CARDS_4: "UNIQUE_OUT_CARDS_4",
-  WALK_OR_HIT_BY_PITCH_3: "WALK_OR_HIT_BY_PITCH_3",
-  OUT_3: "OUT_3",
-  BASES_RBI_3: "BASES_RBI_3",
-  EACH_COLOR_1: "EACH_COLOR_1",
-  EACH_COLOR_2: "EACH_COLOR_2",
-  SAME_COLOR_3: "SAME_COLOR_3",
-  SAME_COLOR_4: "SAME_COLOR_4",
-  SAME_COLOR_5: "SAME_COLOR_5",
-  BASE_STEAL_RBI: "BASE_STEAL_RBI",
-  ON_BASE_STEAL_PICK_OFF: "ON_BASE_STEAL_PICK_OFF",
-  FULL_HOUSE: "FULL_HOUSE",
-  UNKNOWN: "UNKNOWN"
-};
-/*
-const finder = function (goal) {
-  return function (id) {
-    return GoalTypesMetadata[goal].serverId === id;
-  };
-};
-Object.keys(GoalTypesMetadata)
-  .find(finder(15))
-
-std::find_if()
-*/
-const GoalTypesMetadata = {
-  [GoalTypes.IDENTICAL_CARDS_3]: {
-    description: "3 IDENTICAL CARDS",
-    file: "goal/goal1.png",
-    score: 8,
-    isHidden: true,
-    serverId: 1
-  },
-  [GoalTypes.IDENTICAL_CARDS_4]: {
-    description: "4 IDENTICAL CARDS",
-    file: "goal/goal2.png",
-    score: 12,
-    isHidden: false,
-    serverId: 9
-  },
-  [GoalTypes.UNIQUE_OUT_CARDS_4]: {
-    description: "4 DIFFERENT OUT CARDS",
-    file: "goal/goal3.png",
-    score: 12,
-    isHidden: false,
-    serverId: 17
-  },
-  [GoalTypes.IDENTICAL_CARDS_5]: {
-    description: "5 IDENTICAL CARDS",
-    file: "goal/goal4.png",
-    score: 20,
-    isHidden: false,
-    serverId: 13
-  },
-  [GoalTypes.WALK_OR_HIT_BY_PITCH_3]: {
-    description: "3 OF WALK OR HIT BY PITCH",
-    file: "goal/goal5.png",
-    score: 8,
-    isHidden: true,
-    serverId: 4
-  },
-  [GoalTypes.OUT_3]: {
-    description: "SET SHOWS 3 OUTS",
-    file: "goal/goal6.png",
-    score: 6,
-    isHidden: false,
-    serverId: 7
-  },
-  [GoalTypes.BASES_RBI_3]: {
-    description: "SET SHOWS 3 BASES",
-    file: "goal/goal7.png",
-    score: 12,
-    isHidden: false,
-    serverId: 16
-  },
-  [GoalTypes.EACH_COLOR_2]: {
-    description: "2 CARDS OF EACH COLOR",
-    file: "goal/goal8.png",
-    score: 12,
-    isHidden: false,
-    serverId: 12
-  },
-  [GoalTypes.SAME_COLOR_3]: {
-    description: "3 CARDS OF SAME COLOR",
-    file: "goal/goal9.png",
-    score: 8,
-    isHidden: true,
-    serverId: 2
-  },
-  [GoalTypes.EACH_COLOR_1]: {
-    description: "1 CARD OF EACH COLOR",
-    file: "goal/goal11.png",
-    score: 4,
-    isHidden: true,
-    serverId: 3
-  },
-  [GoalTypes.UNIQUE_OUT_CARDS_3]: {
-    description: "3 DIFFERENT OUT CARDS",
-    file: "goal/goal12.png",
-    score: 8,
-    isHidden: false,
-    serverId: 8
-  },
-  [GoalTypes.SAME_COLOR_4]: {
-    description: "4 CARDS OF SAME COLOR",
-    file: "goal/goal13.png",
-    score: 12,
-    isHidden: false,
-    serverId: 10
-  },
-  [GoalTypes.SAME_COLOR_5]: {
-    description: "5 CARDS OF SAME COLOR",
-    file: "goal/goal14.png",
-    score: 20,
-    isHidden: false,
-    serverId: 14
-  },
-  [GoalTypes.BASE_STEAL_RBI]: {
-    description: "BASE, STEAL & RBI",
-    file: "goal/goal15.png",
-    score: 8,
-    isHidden: false,
-    serverId: 11
-  },
-  [GoalTypes.ON_BASE_STEAL_PICK_OFF]: {
-    description: "BASE, STEAL & PICK OFF",
-    file: "",
-    score: 8,
-    isHidden: true,
-    serverId: 5
-  },
-  [GoalTypes.FULL_HOUSE]: {
-    description: "FULL HOUSE",
-    file: "",
-    score: 16,
-    isHidden: true,
-    serverId: 6
-  }
-};
-
-class GameState {
-  constructor() {
-    //this.EVENT_STAGE_CHANGED = 'stageChanged';
-    //this.EVENT_PREDICTION_COUNTS_CHANGED = 'predictionCountsChanged';
-
-    /** @type {Object.<string, number>} */
-    this._cardCounts = {};
-
-    /** @type {string} */
-    //this._stage = GameStages.INITIAL; //? Do we need it here?
-
-    /** @type {Array<Card>} */
-    this.cards = new Array();
-
-    /** @type {Array<Card>} */
-    this.incomingCards = new Array();
-
-    /** @type {number} */
-    this.score = 0;
-
-    /** @type {EventEmitter} */
-    this.emitter = new EventEmitter();
-  }
-
-  /**
-   * @returns {string}
-   */
-  /*get stage() {
-    return this._stage;
-  }*/
-
-  /**
-   * @param {string} value
-   */
-  set stage(value) {
-    //const oldValue = this._stage;
-    //this._stage = value;
-    console.log('stage->', value);
-    this.emitter.emit(this.EVENT_STAGE_CHANGED, value, oldValue);
-    PlaybookBridge.notifyGameState(this.toJSON());
-  }
-
-  /**
-   * @returns {Object.<string, number>}
-   */
-  get predictionCounts() {
-    return this._predictionCounts;
-  }
-
-  /**
-   * @param {Object.<string, number>}
-   */
-  set predictionCounts(value) {
-    const oldValue = this._predictionCounts;
-    this._predictionCounts = value;
-    console.log('predictionCounts->', value);
-    this.emitter.emit(this.EVENT_PREDICTION_COUNTS_CHANGED, value, oldValue);
-    PlaybookBridge.notifyGameState(this.toJSON());
-  }
-
-  /**
-   * Returns the game state as JSON.
-   * @returns {string}
-   */
-  toJSON() {
-    const savedState = {
-     // stage: this._stage,
-      score: this.score,
-      balls: this.balls.map(ball => {
-        return {
-          selectedTarget: ball.selectedTarget ? ball.selectedTarget.name : null
-        };
-      })
-    };
-
-    return JSON.stringify(savedState);
-  }
-
-  /**
-   * Restores the game state from JSON.
-   * @param {string} state
-   */
-  fromJSON(state) {
-    const restoredState = JSON.parse(state);
-
-    const fieldOverlay = stage.getChildByName('fieldOverlay');
-    restoredState.balls.forEach((ball, i) => {
-      if (ball.selectedTarget !== null) {
-        const area = fieldOverlay.getChildByName(ball.selectedTarget);
-        makePrediction(this, area, this.balls[i]);
-        this.balls[i].moveToField(area, false);
-      }
-    });
-
-    // Restore this later because makePrediction changes the state.
-    this.stage = restoredState.stage;
-    this.score = restoredState.score;
-  }
-}
-
-const connection = new WebSocket(PlaybookCollectionBridge.getAPIUrl());
-const renderer = PIXI.autoDetectRenderer(1080, 1920, { resolution: window.devicePixelRatio });
-const stage = new PIXI.Container();
-const state = new GameState();
-
-/**
- * Card.
- */
-class Card {
-  constructor() {
-    /** @type {PIXI.Sprite?} */
-    this.sprite = null;
-
-    /** @type {bool} */
-    this.isBeingDragged = false;
-
-    /** @type {int?} */
-    this.dragPointerId = null;
-
-    /** @type {PIXI.Point?} */
-    this.dragOffset = null;
-
-    /** @type {PIXI.Point?} */
-    this.dragOrigPosition = null;
-
-    /** @type {FieldOverlayArea?} */
-    this.dragTarget = null; //either discard or score
-
-    /** @type {bool} */
-    this.isAnimating = false;
-
-    /** @type {FieldOverlayArea?} */
-    this.selectedTarget = null; //only score
-  }
-
-  /**
-   * Moves this card to a specific position in world space with animation.
-   * @param {PIXI.Point} position
-   * @return {PIXI.action.Sequence}
-   */
-  _moveToWithAnimation(position) {
-    const moveTo = new PIXI.action.MoveTo(position.x, position.y, 0.25);
-    const callFunc = new PIXI.action.CallFunc(() => this.isAnimating = false);
-    const sequence = new PIXI.action.Sequence([moveTo, callFunc]);
-    this.isAnimating = true;
-    PIXI.actionManager.runAction(this.sprite, sequence);
-    return sequence;
-  }
-
-  /**
-   * Moves this card to its original location.
-   */
-  moveToOrigPosition() {
-    this._moveToWithAnimation(this.dragOrigPosition); //probably the original slot it was residing
-  }
-
-  /**
-   * Moves this ball to a specific slot.
-   * @param {PIXI.Sprite} cardSlot
-   * @param {number} slot
-   */
-  moveToSlot(cardSlot, slot) {
-    this._moveToWithAnimation(getCardSlotPosition(this.sprite.texture, cardSlot, slot));
-  }
-
-  /**
-   * Moves this ball to the field.
-   * @param {FieldOverlayArea} area
-   * @param {bool} withAnimation
-   */
-  moveToField(area, withAnimation = true) {
-    let center = area.parent.toGlobal(area.getCentroid());
-
-    // Determine if we need to run an animation.
-    if (withAnimation) {
-      this._moveToWithAnimation(center);
-    } else {
-      this.sprite.position.set(center.x, center.y);
-      renderer.isDirty = true;
-    }
-  }
-}
-
-/**
- * Returns the world space position for a ball slot.
- * @param {PIXI.Texture} cardTexture
- * @param {PIXI.Sprite} cardSlot
- * @param {Number} i
- */
-function getCardSlotPositionFor(cardTexture, cardSlot, i) {
-  const cardScale = cardSlot.texture.height / cardTexture.height / 1.5;
-  return cardSlot.toGlobal(new PIXI.Point(
-    120 + cardTexture.width * i * cardScale,
-    cardSlot.texture.height / 2
-  ));
-};
-
-// Receive messages from the hosting application.
-  global.addEventListener('message', function (e) {
-    const message = e.data;
-    switch (message.action) {
-      case 'RESTORE_GAME_STATE':
-        console.log('Restoring state from hosting application: ');
-        state.fromJSON(message.payload);
-        break;
-      case 'HANDLE_MESSAGE':
-        console.log('Handling message from hosting application: ');
-        handleIncomingMessage(message.payload);
-        break;
-    }
-  });
-
-function createRandomGoal(goalContainer) {
-  //remove existing goal
-
-  //only set visible goals
-  const visibleGoals = Object.keys(GoalTypesMetadata)
-    .filter(goal => !GoalTypesMetadata[goal].isHidden)
-    .map(goal => GoalTypesMetadata[goal]);
-  //console.log(visibleGoals);
-  const randomChoice = Math.floor((Math.random() * visibleGoals.length));
-  setActiveGoal(visibleGoals[randomChoice], goalContainer);
-
-}
-
-function setActiveGoal(goal, goalContainer) {
-  const newTexture = PIXI.loader.resources[`resources/${goal.file}`].texture;
-  //debugger;
-  goalContainer.texture = newTexture;
-}
-
-function handleIncomingMessage(message) {
-  switch (message.event) {
-    case 'server:playsCreated':
-      handlePlaysCreated(message.data);
-      break;
-    case 'server:clearPredictions':
-      handleClearPredictions();
-      break;
-    default:
-  }
-}
-
-/**
- * Handles plays created event.
- * @param {Array.<number>} events
- */
-function handlePlaysCreated(events) {
- // if (state.stage === GameStages.CONFIRMED) {
-   console.log('Events created!');
-    const plays = events.map(PlaybookEvents.getById);
-    for (const play of plays) {
-      console.log('Play string: ' + play);
-      receiveCard(play);
-
-     /* state.score += ScoreValues[play] * state.predictionCounts[play];
-      reportScore(ScoreValues[play] * state.predictionCounts[play]);
-      const overlay = new PredictionCorrectOverlay(play);
-      initPredictionCorrectOverlayEvents(overlay);
-      stage.addChild(overlay);*/
-      renderer.isDirty = true;
-    }
-  
-}
-function receiveCard(play){
-  createCard(play);
-}
-function createCard(play){
-  const team = PlaybookEventsTeams[play];
-  if(team === 'NONE'){
-    return;
-  }
-  let teamString;
-  if(team === "FIELDING"){
-    teamString = 'F-';
-  } 
-  else if (team === "BATTING"){
-    teamString = 'B-';
-  }
-  const mapString = PlaybookEventsStringMap[play];
-  const cardTexture = PIXI.loader.resources[`resources/cards/Card-${teamString}${mapString}.jpg`].texture;
-  const card = new PIXI.Sprite(cardTexture);
-  const cardScale = (window.innerWidth / 2) / cardTexture.width;
-  const cardHeight = 96.0;
-  card.name = 'card';
-  card.position.set(window.innerWidth / 2, window.innerHeight / 2);
-  card.scale.set(cardScale, cardScale);
-  card.anchor.set(0.5, 0.5);
-  card.rotation = PIXI.DEG_TO_RAD * (Math.floor(Math.random() * 10) + -5);
-  card.zOrder = 2;
-  stage.addChild(card);
-}
-/**
- * Sets up the renderer. Adjusts the renderer according to the size of the
- * viewport, and adds it to the DOM tree.
- * @param {PIXI.WebGLRenderer} renderer
- */
-function configureRenderer(renderer) {
-  const resizeToFitWindow = function (renderer) {
-    renderer.resize(window.innerWidth, window.innerHeight);
-  };
-
-  renderer.view.style.position = 'absolute';
-  renderer.view.style.display = 'block';
-  renderer.autoResize = true;
-  resizeToFitWindow(renderer);
-  document.body.appendChild(renderer.view);
-  window.addEventListener('resize', resizeToFitWindow.bind(this, renderer));
-};
-
-/**
- * Sets up the WebSocket connection.
- * @param {WebSocket} connection
- */
-function configureWebSocket(connection) {
-  connection.addEventListener('open', function () {
-    console.log(`Connected to ${connection.url}`);
-  });
-
-  connection.addEventListener('message', function (message) {
-    message = JSON.parse(message.data);
-    handleIncomingMessage(message);
-  });
-};
-
-function getBallPositionForSlot(ballTexture, ballSlot, i) {
-  const ballScale = ballSlot.texture.height / ballTexture.height / 1.5;
-  return ballSlot.toGlobal(new PIXI.Point(
-    120 + ballTexture.width * i * ballScale,
-    ballSlot.texture.height / 2
-  ));
-};
-
-function setup() {
-
-  //console.log('Test from JS!');
-  // Add background to screen.
-  const bgTexture = PIXI.loader.resources['resources/Collection-BG-Wood.jpg'].texture;
-  const bg = new PIXI.Sprite(bgTexture);
-  bg.scale.x = window.innerWidth / bgTexture.width;
-  bg.scale.y = window.innerHeight / bgTexture.height;
-  bg.zOrder = 0;
-  stage.addChild(bg);
-
-  // Add banner on top to screen.
-  /*
-  const bannerTexture = PIXI.loader.resources['resources/Collection-Banner-9x16.png'].texture
-  const banner = new PIXI.Sprite(bannerTexture);
-  const bannerScale = window.innerWidth / bannerTexture.width;
-  const bannerHeight = bannerScale * bannerTexture.height;
-  banner.scale.set(bannerScale, bannerScale);
-  banner.zOrder = 1;
-  stage.addChild(banner);
-*/
-  // Add card tray to screen.
-  const trayTexture = PIXI.loader.resources['resources/Collection-Tray-9x16.png'].texture;
-  const tray = new PIXI.Sprite(trayTexture);
-  const trayScale = window.innerWidth / trayTexture.width;
-  const trayHeight = trayScale * trayTexture.height;
-  tray.name = 'tray';
-  tray.position.set(0, window.innerHeight - trayHeight);
-  tray.scale.set(trayScale, trayScale);
-  tray.zOrder = 2;
-  stage.addChild(tray);
-
- //Add top shadow
-  const shadow2Texture = PIXI.loader.resources['resources/Collection-Shadow-Overturn.png'].texture;
-  const shadow2 = new PIXI.Sprite(shadow2Texture);
-  const shadow2Scale = window.innerWidth;
-  const shadow2Height = 64.0;
-  shadow2.name = 'shadowTop';
-  shadow2.position.set(0, 48);
-  shadow2.scale.set(shadow2Scale, 1);
-  shadow2.zOrder = 3;
-  stage.addChild(shadow2);
-
-  //Add score bar
-  const scoreBarTexture = PIXI.loader.resources['resources/Collection-Bar-Gold-9x16.png'].texture;
-  const scoreBar = new PIXI.Sprite(scoreBarTexture);
-  const scoreBarScale = window.innerWidth / 2;
-  const scoreBarHeight = 96.0;
-  scoreBar.name = 'scoreBar';
-  scoreBar.position.set(0, window.innerHeight - scoreBarHeight / 2  - trayHeight - 16.0);
-  scoreBar.scale.set(scoreBarScale, 0.5);
-  scoreBar.zOrder = 2;
-  stage.addChild(scoreBar);
-
-//Add score bar shadow
-  const shadowTexture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
-  const shadow = new PIXI.extras.TilingSprite(shadowTexture, window.innerWidth / 2, 96.0);
-  const shadowScale = window.innerWidth / 2;
-  const shadowHeight = 96.0;
-  shadow.name = 'shadow';
-  shadow.position.set(0, window.innerHeight - shadowHeight / 2  - trayHeight - 16.0);
-  shadow.tileScale.set(1, 0.5);
-  shadow.zOrder = 3;
-  stage.addChild(shadow);
-
-//Add score label
- /** @type {PIXI.Text} */
-    const shadowText = new PIXI.Text();
-    shadowText.position.set(16, shadowHeight / 4);
-    //shadowText.scale.set(1 / shadowScale, 2);
-    //shadowText.position.set(0, 1);
-    shadowText.anchor.set(0.0, 0.5);
-    shadowText.text = 'Score:'.toUpperCase();
-    shadowText.style.fontFamily = 'proxima-nova-excn';
-    
-    shadowText.style.fill = 0xffffff;
-    shadowText.style.fontWeight = 900;
-
-    //shadowText.zOrder = 4;
-    //this.text.style.fontWeight = 'bold';
-    shadowText.style.fontSize = 36.0;
-    //this.text.style.align = 'center';
-    shadow.addChild(shadowText);
-
- //Add score
-    const scoreText = new PIXI.Text();
-    scoreText.position.set(32 + shadowText.width, shadowHeight / 4);
-    //scoreText.scale.set(1 / shadowScale, 2);
-    //scoreText.position.set(0, 1);
-    scoreText.anchor.set(0.0, 0.5);
-    scoreText.text = '000';
-    scoreText.style.fontFamily = 'SCOREBOARD';
-    renderer.isDirty = true;
-    
-    scoreText.style.fill = 0xffffff;
-
-
-    //scoreText.zOrder = 4;
-    //this.text.style.fontWeight = 'bold';
-    scoreText.style.fontSize = 36.0;
-    //this.text.style.align = 'center';
-    shadow.addChild(scoreText);
-
-  //Add bottom shadow
-  const shadow3Texture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
-  const shadow3 = new PIXI.Sprite(shadow3Texture);
-  const shadow3Scale = window.innerWidth;
-  const shadow3Height = 64.0;
-  shadow3.name = 'shadowBottom';
-  shadow3.position.set(0, window.innerHeight - scoreBarHeight*2  - trayHeight);
-  shadow3.scale.set(shadow3Scale, 1);
-  shadow3.zOrder = 0;
-  stage.addChild(shadow3);
-
- //Add goal bar
- const goalBarTexture = PIXI.loader.resources['resources/Collection-Bar-Yellow-9x16.png'].texture;
- const goalBar = new PIXI.Sprite(goalBarTexture);
- const goalBarScale = window.innerWidth / 2;
- const goalBarHeight = 96.0;
- goalBar.name = 'scoreBar';
- goalBar.position.set(window.innerWidth / 2, window.innerHeight - goalBarHeight / 2 - trayHeight - 16.0);
- goalBar.scale.set(goalBarScale, 0.5);
- goalBar.zOrder = 2;
- stage.addChild(goalBar);
-
- //Add goal bar shadow
-  const shadow1Texture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
-  const shadow1 = new PIXI.extras.TilingSprite(shadow1Texture, window.innerWidth / 2, 96);
-  const shadow1Scale = window.innerWidth / 2;
-  const shadow1Height = 96.0;
-  shadow1.name = 'shadowGoal';
-  shadow1.position.set(window.innerWidth / 2, window.innerHeight - shadow1Height / 2 - trayHeight - 16.0);
-  shadow1.tileScale.set(1, 0.5);
-  shadow1.zOrder = 3;
-  stage.addChild(shadow1);
-
-  //Add goal bar label
-  /** @type {PIXI.Text} */
-    const goalText = new PIXI.Text();
-    goalText.position.set(16, shadowHeight / 4);
-    //goalText.scale.set(1 / shadowScale, 2);
-    //goalText.position.set(0, 1);
-    goalText.anchor.set(0.0, 0.5);
-    goalText.text = 'Goal:'.toUpperCase();
-    goalText.style.fontFamily = 'proxima-nova-excn';
-    
-    goalText.style.fill = 0x806200;
-    goalText.style.fontWeight = 900;
-
-    //goalText.zOrder = 4;
-    //this.text.style.fontWeight = 'bold';
-    goalText.style.fontSize = 36.0;
-    //this.text.style.align = 'center';
-    shadow1.addChild(goalText);
-
-//Add goal container?
-  const goalContainerTexture = PIXI.loader.resources['resources/goal/goal1.png'].texture;
-  const goalContainer = new PIXI.Sprite(goalContainerTexture);
-  const goalContainerScale = (window.innerWidth / 2 - goalText.width - 48) / goalContainer.width;
-  const goalContainerHeight = 96.0;
-  goalContainer.name = 'goalContainer';
-  goalContainer.position.set(window.innerWidth / 2 - 16, goalContainerHeight * goalContainerScale);
-  goalContainer.scale.set(goalContainerScale, goalContainerScale);
-  goalContainer.anchor.set(1,0.5);
-  goalContainer.zOrder = 4;
-  shadow1.addChild(goalContainer);
-
-
-  //Add banner on top
-  const cbTexture = PIXI.loader.resources['resources/Prediction-Banner.png'].texture;
-  const cb = new PIXI.Sprite(cbTexture);
-  const cbScale = window.innerWidth / cbTexture.width;
-  const cbHeight = cbScale * cbTexture.height;
-  cb.scale.set(cbScale, cbScale);
-  cb.zOrder = 1;
-  stage.addChild(cb);
-
-  //Add Drag to Discard Banner
-  const discardTexture = PIXI.loader.resources['resources/Collection-Banner-9x16.png'].texture;
-  const discard = new PIXI.extras.TilingSprite(discardTexture, window.innerWidth, 36);
-  //const discardScale = window.innerWidth;
-  const discardHeight = 36.0;
-  discard.name = 'discard';
-  discard.position.set(0, cbHeight / 2);
-  discard.tileScale.set(1, 0.5);
-  discard.zOrder = 2;
-  stage.addChild(discard);
-
-  //Add discard label
-  /** @type {PIXI.Text} */
-    const discardText = new PIXI.Text();
-    discardText.position.set(window.innerWidth / 2, discardHeight / 2);
-    //discardText.scale.set(1 / shadowScale, 2);
-    //discardText.position.set(0, 1);
-    discardText.anchor.set(0.5, 0.5);
-    discardText.text = 'drag plays up to discard'.toUpperCase();
-    discardText.style.fontFamily = 'proxima-nova-excn';
-    
-    discardText.style.fill = 0xffffff;
-    discardText.style.fontWeight = 900;
-
-    //discardText.zOrder = 4;
-    //this.text.style.fontWeight = 'bold';
-    discardText.style.fontSize = 36.0;
-    discardText.style.align = 'center';
-    discard.addChild(discardText);
-
-  //Add Drag to Score button
-
-  //Add score button
-  const scoreButtonTexture = PIXI.loader.resources['resources/Collection-Star-9x16.png'].texture;
-  const scoreButton = new PIXI.Sprite(scoreButtonTexture);
-  const scoreButtonScale = (window.innerWidth - 128*2) / scoreButtonTexture.width;
-  const scoreButtonHeight = window.innerHeight - 128*2 - trayHeight - scoreBarHeight - discardHeight;
-  scoreButton.name = 'scoreButton';
-  scoreButton.position.set(window.innerWidth / 2, discardHeight * 2);
-  scoreButton.scale.set(scoreButtonScale, scoreButtonScale);
-  scoreButton.anchor.set(0.5, 0);
-  scoreButton.zOrder = 2;
-  stage.addChild(scoreButton);
-
-  //Generate random goal
-  createRandomGoal(goalContainer);
-
-  /**
-   * Begin the animation loop.
-   * @param {DOMHighResTimeStamp} now
-   */
-  function beginDrawLoop(now) {
-    const numPendingActions = Object.keys(PIXI.actionManager.actions).length;
-    if (numPendingActions > 0) {
-      renderer.isDirty = true;
-    }
-
-    // For mobile phones, we don't go full-blast at 60 fps.
-    // Re-render only if dirty.
-    if (renderer.isDirty) {
-      PIXI.actionManager.update((now - lastRenderTime) / 1000);
-      //fieldOverlay.update();
-      renderer.render(stage);
-      renderer.isDirty = false;
-      
-    }
-
-    lastRenderTime = now;
-    requestAnimationFrame(beginDrawLoop);
-  };
-
-  let lastRenderTime = performance.now();
-  renderer.isDirty = true;
-  //PlaybookBridge.notifyLoaded();
-  beginDrawLoop(lastRenderTime);
-};
-
-// Create and configure the renderer.
-configureRenderer(renderer);
-configureWebSocket(connection);
-
-// Load the sprites we need.
-PIXI.loader
-  .add('resources/Collection-BG-Wood.jpg')
-  .add('resources/Collection-Banner-9x16.png')
-  .add('resources/Collection-Tray-9x16.png')
-  .add('resources/Collection-Star-9x16.png')
-  .add('resources/Collection-Bar-Gold-9x16.png')
-  .add('resources/Collection-Bar-Green-9x16.png')
-  .add('resources/Collection-Bar-Yellow-9x16.png')
-  .add('resources/Collection-Shadow-9x16.png')
-  .add('resources/Collection-Shadow-Overturn.png')
-  .add('resources/Prediction-Banner.png')
-  .add('resources/goal/goal1.png')
-  .add('resources/goal/goal2.png')
-  .add('resources/goal/goal3.png')
-  .add('resources/goal/goal4.png')
-  .add('resources/goal/goal5.png')
-  .add('resources/goal/goal6.png')
-  .add('resources/goal/goal7.png')
-  .add('resources/goal/goal8.png')
-  .add('resources/goal/goal9.png')
-  .add('resources/goal/goal10.png')
-  .add('resources/goal/goal11.png')
-  .add('resources/goal/goal12.png')
-  .add('resources/goal/goal13.png')
-  .add('resources/goal/goal14.png')
-  .add('resources/goal/goal15.png')
-  .add('resources/cards/Card-B-FirstBase.jpg')
-  .add('resources/cards/Card-B-GrandSlam.jpg')
-  .add('resources/cards/Card-B-HitByPitch.jpg')
-  .add('resources/cards/Card-B-HomeRun.jpg')
-  .add('resources/cards/Card-B-RunScored.jpg')
-  .add('resources/cards/Card-B-SecondBase.jpg')
-  .add('resources/cards/Card-B-Steal.jpg')
-  .add('resources/cards/Card-B-ThirdBase.jpg')
-  .add('resources/cards/Card-B-Walk.jpg')
-  .add('resources/cards/Card-F-BlockedRun.jpg')
-  .add('resources/cards/Card-F-DoublePlay.jpg')
-  .add('resources/cards/Card-F-FieldersChoice.jpg')
-  .add('resources/cards/Card-F-FlyOut.jpg')
-  .add('resources/cards/Card-F-GroundOut.jpg')
-  .add('resources/cards/Card-F-LongOut.jpg')
-  .add('resources/cards/Card-F-PickOff.jpg')
-  .add('resources/cards/Card-F-Strikeout.jpg')
-  .add('resources/cards/Card-F-TriplePlay.jpg')
-  .add('resources/cards/Card-F-UnopposedStrikeout.jpg')
+'use strict';
+import * as PIXI from 'pixi.js';
+import 'pixi-action';
+import EventEmitter from 'eventemitter3';
+
+import PlaybookEvents,
+  { FriendlyNames as PlaybookEventsFriendlyNames, 
+  Teams as PlaybookEventsTeams,
+  StringMap as PlaybookEventsStringMap,
+  ProtocolVersions as PlaybookEventsProtocolVersions} from './lib/PlaybookEvents';
+import GoalTypes, {
+  GoalTypesMetadata,
+  evaluateGoal,
+  getGoalByServerId,
+  getGoalProgress,
+  getGoalsForCard,
+  getSeededGoal
+} from './lib/CollectionGoals';
+import createPlaybookBridge from './lib/PlaybookBridge';
+import ScoreOutbox from './lib/ScoreOutbox';
+import PlaybookSocket, { ConnectionStatuses } from './lib/PlaybookSocket';
+import { parsePlays, filterUnappliedPlays, rememberPlays } from './lib/Plays';
+import { isReplayRequested, startReplayMode } from './lib/ReplayOverlay';
+
+// In replay mode, a recorded game is played back in place of the live one.
+// The replay starts from an empty hand, and neither saves the game nor
+// reports scores.
+const isReplayMode = isReplayRequested();
+
+// Talk to the hosting application through the native bridge, or a mock one
+// when running in a browser.
+const bridge = createPlaybookBridge('PlaybookCollectionBridge', 'collection');
+if (isReplayMode) {
+  bridge.refuseHostMessages('A recorded game is being replayed');
+}
+bridge.on(bridge.EVENT_RESTORE_STATE, stateJSON => state.fromJSON(stateJSON));
+bridge.on(bridge.EVENT_MESSAGE, message => handleIncomingMessage(message));
+
+/**
+ * Version of the saved game state. Bump this whenever the format of
+ * GameState.toJSON() changes.
+ * @type {number}
+ */
+const SAVED_STATE_VERSION = 1;
+
+/**
+ * Game state.
+ */
+class GameState {
+  constructor() {
+    this.EVENT_CARDS_CHANGED = 'cardsChanged';
+    this.EVENT_GOAL_CHANGED = 'goalChanged';
+    this.EVENT_SCORE_CHANGED = 'scoreChanged';
+
+    /** @type {Array<Card>} */
+    this.cards = new Array();
+
+    /** @type {Array<string>} */
+    this.incomingCards = new Array();
+
+    /**
+     * IDs of the most recent plays that have been applied, so that repeats
+     * are not dealt twice.
+     * @type {Array<string>}
+     */
+    this.appliedPlayIds = new Array();
+
+    /**
+     * ID of the next scored set, which keys its score report. IDs start from
+     * the time the game was first saved, so that they are not reused if the
+     * saved game is lost.
+     * @type {number}
+     */
+    this.nextScoredSetId = Date.now();
+
+    /**
+     * Whether the host has had the chance to restore the saved game. Plays
+     * and goals can arrive while the scene is still loading, and saving them
+     * before then would overwrite the saved game.
+     * @type {bool}
+     */
+    this.isRestored = false;
+
+    /** @type {string} */
+    this._goal = GoalTypes.UNKNOWN;
+
+    /** @type {number} */
+    this._score = 0;
+
+    /** @type {EventEmitter} */
+    this.emitter = new EventEmitter();
+  }
+
+  /**
+   * @returns {string}
+   */
+  get goal() {
+    return this._goal;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set goal(value) {
+    const oldValue = this._goal;
+    this._goal = value;
+    console.log('goal->', value);
+    this.emitter.emit(this.EVENT_GOAL_CHANGED, value, oldValue);
+    this.save();
+  }
+
+  /**
+   * @returns {number}
+   */
+  get score() {
+    return this._score;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set score(value) {
+    const oldValue = this._score;
+    this._score = value;
+    console.log('score->', value);
+    this.emitter.emit(this.EVENT_SCORE_CHANGED, value, oldValue);
+    this.save();
+  }
+
+  /**
+   * Notifies listeners that the cards in the hand or the incoming cards have
+   * changed. The arrays are modified in place, so this has to be called
+   * explicitly.
+   */
+  notifyCardsChanged() {
+    console.log('cards->', this.cards.map(card => card.event));
+    this.emitter.emit(this.EVENT_CARDS_CHANGED, this.cards);
+    this.save();
+  }
+
+  /**
+   * Hands the game state to the hosting application to save. Neither a
+   * replay nor a game that has yet to be restored may overwrite the saved
+   * game.
+   */
+  save() {
+    if (!isReplayMode && this.isRestored) {
+      bridge.notifyGameState(this.toJSON());
+    }
+  }
+
+  /**
+   * Returns the game state as JSON.
+   * @returns {string}
+   */
+  toJSON() {
+    const savedState = {
+      version: SAVED_STATE_VERSION,
+      goal: this._goal,
+      score: this._score,
+      cards: this.cards.map(card => card.event),
+      incomingCards: this.incomingCards.slice(),
+      appliedPlayIds: this.appliedPlayIds.slice(),
+      nextScoredSetId: this.nextScoredSetId
+    };
+
+    return JSON.stringify(savedState);
+  }
+
+  /**
+   * Restores the game state from JSON.
+   * @param {string} state
+   */
+  fromJSON(state) {
+    const restoredState = JSON.parse(state);
+    if (restoredState.version !== SAVED_STATE_VERSION) {
+      throw new Error(`Unsupported saved state version ${restoredState.version}`);
+    }
+    if (!Array.isArray(restoredState.cards)) {
+      throw new Error('Saved state has no cards');
+    }
+
+    // Saved hands may hold events that no longer have cards.
+    const cards = restoredState.cards.filter(isCardEvent);
+    const incomingCards = Array.isArray(restoredState.incomingCards) ?
+      restoredState.incomingCards.filter(isCardEvent) :
+      [];
+
+    // Build the restored hand before touching the current one, so that a
+    // failed restore leaves the game as it was.
+    const tray = stage.getChildByName('tray');
+    const restoredCards = [];
+    try {
+      cards.forEach(event => restoredCards.push(createCard(event)));
+    } catch (err) {
+      restoredCards.forEach(card => card.sprite.destroy());
+      throw err;
+    }
+
+    const oldGoal = this._goal;
+    const oldScore = this._score;
+    this.cards.forEach(card => card.sprite.destroy());
+    this.cards = restoredCards;
+    this.cards.forEach((card, i) => {
+      initCardEvents(card, tray);
+      card.moveToSlot(tray, i, false);
+    });
+
+    // Older saved states may lack these.
+    this.incomingCards = incomingCards;
+    this.appliedPlayIds = Array.isArray(restoredState.appliedPlayIds) ? restoredState.appliedPlayIds : [];
+    if (Number.isInteger(restoredState.nextScoredSetId)) {
+      this.nextScoredSetId = restoredState.nextScoredSetId;
+    }
+    if (GoalTypesMetadata[restoredState.goal] !== undefined) {
+      this._goal = restoredState.goal;
+    }
+    this._score = Number(restoredState.score) || 0;
+
+    this.emitter.emit(this.EVENT_GOAL_CHANGED, this._goal, oldGoal);
+    this.emitter.emit(this.EVENT_SCORE_CHANGED, this._score, oldScore);
+    this.emitter.emit(this.EVENT_CARDS_CHANGED, this.cards);
+    this.save();
+    dealNextCard();
+  }
+}
+
+const connection = new PlaybookSocket(bridge.getAPIUrl());
+const renderer = PIXI.autoDetectRenderer(1080, 1920, { resolution: window.devicePixelRatio });
+const stage = new PIXI.Container();
+const state = new GameState();
+const scoreOutbox = new ScoreOutbox(
+  'collection.scoreOutbox',
+  () => `${bridge.getSectionAPIUrl()}/updateScore`
+);
+
+/**
+ * How long a card has to be held before it is inspected, in milliseconds.
+ * @type {number}
+ */
+const LONG_PRESS_DURATION = 500;
+
+/**
+ * How far a card can move while held before the hold becomes a drag, in
+ * pixels.
+ * @type {number}
+ */
+const LONG_PRESS_TOLERANCE = 16.0;
+
+/**
+ * Card slots on the tray, in the local space of the tray texture.
+ * @type {Object.<string, number>}
+ */
+const CardSlots = {
+  COUNT: 5,
+  FIRST_X: 183.0,
+  SPACING: 268.5,
+  Y: 356.0,
+  HEIGHT: 332.0
+};
+
+/**
+ * Card.
+ */
+class Card {
+  /**
+   * @param {string} event
+   */
+  constructor(event) {
+    /** @type {string} */
+    this.event = event;
+
+    /** @type {PIXI.Sprite?} */
+    this.sprite = null;
+
+    /** @type {bool} */
+    this.isBeingDragged = false;
+
+    /** @type {int?} */
+    this.dragPointerId = null;
+
+    /** @type {PIXI.Point?} */
+    this.dragOffset = null;
+
+    /** @type {PIXI.Point?} */
+    this.dragOrigPosition = null;
+
+    /** @type {PIXI.DisplayObject?} */
+    this.dragTarget = null; //either discard or score
+
+    /** @type {bool} */
+    this.isAnimating = false;
+
+    /** @type {PIXI.DisplayObject?} */
+    this.selectedTarget = null; //only score
+
+    /** @type {number?} */
+    this.longPressTimeout = null;
+  }
+
+  /**
+   * Moves this card to a specific position in world space with animation.
+   * @param {PIXI.Point} position
+   * @return {PIXI.action.Sequence}
+   */
+  _moveToWithAnimation(position) {
+    const moveTo = new PIXI.action.MoveTo(position.x, position.y, 0.25);
+    const callFunc = new PIXI.action.CallFunc(() => this.isAnimating = false);
+    const sequence = new PIXI.action.Sequence([moveTo, callFunc]);
+    this.isAnimating = true;
+    PIXI.actionManager.runAction(this.sprite, sequence);
+    return sequence;
+  }
+
+  /**
+   * Moves this card to its original location.
+   */
+  moveToOrigPosition() {
+    this._moveToWithAnimation(this.dragOrigPosition);
+  }
+
+  /**
+   * Moves this card to a specific slot on the tray.
+   * @param {PIXI.Sprite} tray
+   * @param {number} slot
+   * @param {bool} withAnimation
+   */
+  moveToSlot(tray, slot, withAnimation = true) {
+    const position = getCardSlotPosition(tray, slot);
+
+    // Determine if we need to run an animation.
+    if (withAnimation) {
+      this._moveToWithAnimation(position);
+    } else {
+      this.sprite.position.set(position.x, position.y);
+      renderer.isDirty = true;
+    }
+  }
+
+  /**
+   * Moves this card onto the score button, fanned out among the other cards
+   * that are already on it.
+   * @param {PIXI.Sprite} scoreButton
+   * @param {number} i
+   * @param {number} count
+   */
+  moveToScoreButton(scoreButton, i, count) {
+    const bounds = scoreButton.getBounds();
+    const spacing = bounds.width / (CardSlots.COUNT + 1);
+    this._moveToWithAnimation(new PIXI.Point(
+      bounds.x + bounds.width / 2 + (i - (count - 1) / 2) * spacing,
+      bounds.y + bounds.height / 2
+    ));
+  }
+}
+
+/**
+ * Returns the world space position for a card slot.
+ * @param {PIXI.Sprite} tray
+ * @param {number} i
+ * @returns {PIXI.Point}
+ */
+function getCardSlotPosition(tray, i) {
+  return tray.toGlobal(new PIXI.Point(
+    CardSlots.FIRST_X + CardSlots.SPACING * i,
+    CardSlots.Y
+  ));
+};
+
+/**
+ * Returns the card slot under a point in world space, or -1 if the point is
+ * not above the tray. Only slots that hold a card are considered.
+ * @param {PIXI.Sprite} tray
+ * @param {PIXI.Point} point
+ * @returns {number}
+ */
+function getCardSlotAt(tray, point) {
+  if (state.cards.length === 0 || !tray.getBounds().contains(point.x, point.y)) {
+    return -1;
+  }
+
+  const local = tray.toLocal(point);
+  const slot = Math.round((local.x - CardSlots.FIRST_X) / CardSlots.SPACING);
+  return Math.max(0, Math.min(slot, state.cards.length - 1));
+}
+
+/**
+ * Returns the scale of a card sprite that fits a slot on the tray.
+ * @param {PIXI.Texture} cardTexture
+ * @param {PIXI.Sprite} tray
+ * @returns {number}
+ */
+function getCardScaleForSlot(cardTexture, tray) {
+  return tray.scale.y * CardSlots.HEIGHT / cardTexture.height;
+}
+
+/**
+ * Card inspector overlay. Shows a card at full size together with what it is
+ * and which goals it counts towards.
+ */
+class CardInspectorOverlay extends PIXI.Container {
+  /**
+   * @param {Card} card
+   */
+  constructor(card) {
+    super();
+
+    /** @type {PIXI.Graphics} */
+    this.background = new PIXI.Graphics();
+    this.background.beginFill(0x000000, 0.75);
+    this.background.drawRect(0, 0, window.innerWidth, window.innerHeight);
+    this.background.endFill();
+    this.addChild(this.background);
+
+    /** @type {PIXI.Sprite} */
+    this.card = new PIXI.Sprite(card.sprite.texture);
+    const cardScale = Math.min(
+      window.innerWidth * 0.8 / this.card.texture.width,
+      window.innerHeight * 0.5 / this.card.texture.height
+    );
+    this.card.scale.set(cardScale, cardScale);
+    this.card.position.set(window.innerWidth / 2, 32.0);
+    this.card.anchor.set(0.5, 0.0);
+    this.addChild(this.card);
+
+    /** @type {PIXI.Text} */
+    this.title = new PIXI.Text();
+    this.title.position.set(window.innerWidth / 2, this.card.y + this.card.height + 24.0);
+    this.title.anchor.set(0.5, 0.0);
+    this.title.text = PlaybookEventsFriendlyNames[card.event].toUpperCase();
+    this.title.style.fontFamily = 'proxima-nova-excn';
+    this.title.style.fontWeight = 900;
+    this.title.style.fontSize = 48.0;
+    this.title.style.fill = 0xffffff;
+    this.addChild(this.title);
+
+    /** @type {PIXI.Text} */
+    this.team = new PIXI.Text();
+    this.team.position.set(window.innerWidth / 2, this.title.y + this.title.height);
+    this.team.anchor.set(0.5, 0.0);
+    this.team.text = PlaybookEventsTeams[card.event] === 'BATTING' ? 'Batters' : 'Fielders';
+    this.team.style.fontFamily = 'proxima-nova-excn';
+    this.team.style.fontSize = 32.0;
+    this.team.style.fill = 0xcccccc;
+    this.addChild(this.team);
+
+    // Only list goals that fans can be given, plus the active one.
+    const goals = getGoalsForCard(card.event)
+      .filter(goal => !GoalTypesMetadata[goal].isHidden || goal === state.goal)
+      .map(goal => (goal === state.goal ? '\u2605 ' : '') + GoalTypesMetadata[goal].description);
+
+    /** @type {PIXI.Text} */
+    this.goals = new PIXI.Text();
+    this.goals.position.set(window.innerWidth / 2, this.team.y + this.team.height + 24.0);
+    this.goals.anchor.set(0.5, 0.0);
+    this.goals.text = `Counts towards:\n${goals.join('\n')}`.toUpperCase();
+    this.goals.style.fontFamily = 'proxima-nova-excn';
+    this.goals.style.fontSize = 28.0;
+    this.goals.style.fill = 0xffffff;
+    this.goals.style.align = 'center';
+    this.addChild(this.goals);
+  }
+}
+
+/**
+ * Goal progress meter. Shows how close the hand is to the active goal.
+ */
+class GoalProgressMeter extends PIXI.Container {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    super();
+
+    /** @type {number} */
+    this.meterWidth = width;
+
+    /** @type {number} */
+    this.meterHeight = height;
+
+    /** @type {bool} */
+    this.isAchievable = false;
+
+    // Scale and pulse around the center.
+    this.pivot.set(width / 2, height / 2);
+
+    /** @type {PIXI.Graphics} */
+    this.background = new PIXI.Graphics();
+    this.background.beginFill(0x000000, 0.5);
+    this.background.drawRoundedRect(0, 0, width, height, height / 2);
+    this.background.endFill();
+    this.addChild(this.background);
+
+    /** @type {PIXI.Graphics} */
+    this.fill = new PIXI.Graphics();
+    this.addChild(this.fill);
+
+    /** @type {PIXI.Text} */
+    this.label = new PIXI.Text();
+    this.label.position.set(width / 2, height / 2);
+    this.label.anchor.set(0.5, 0.5);
+    this.label.style.fontFamily = 'proxima-nova-excn';
+    this.label.style.fontWeight = 900;
+    this.label.style.fontSize = height * 0.6;
+    this.label.style.fill = 0xffffff;
+    this.addChild(this.label);
+  }
+
+  /**
+   * Redraws the meter for the given progress.
+   * @param {{ current: number, required: number, label: string, isAchievable: boolean }} progress
+   */
+  update(progress) {
+    const fraction = progress.required > 0 ? progress.current / progress.required : 0;
+    this.fill.clear();
+    if (fraction > 0) {
+      this.fill.beginFill(progress.isAchievable ? 0x008000 : 0xffc200);
+      this.fill.drawRoundedRect(0, 0, Math.max(this.meterWidth * fraction, this.meterHeight), this.meterHeight, this.meterHeight / 2);
+      this.fill.endFill();
+    }
+
+    this.label.text = progress.label.toUpperCase();
+
+    // Pulse when the goal becomes achievable.
+    if (progress.isAchievable && !this.isAchievable) {
+      this.pulse();
+    }
+    this.isAchievable = progress.isAchievable;
+    renderer.isDirty = true;
+  }
+
+  /**
+   * Pulses the meter a few times to draw attention to it.
+   */
+  pulse() {
+    const actions = [];
+    for (let i = 0; i < 3; i++) {
+      actions.push(new PIXI.action.ScaleTo(1.15, 1.15, 0.15));
+      actions.push(new PIXI.action.ScaleTo(1.0, 1.0, 0.15));
+    }
+    PIXI.actionManager.runAction(this, new PIXI.action.Sequence(actions));
+  }
+}
+
+/**
+ * Opens the inspector for a card.
+ * @param {Card} card
+ */
+function showCardInspector(card) {
+  const overlay = new CardInspectorOverlay(card);
+  initCardInspectorOverlayEvents(overlay);
+  stage.addChild(overlay);
+  renderer.isDirty = true;
+}
+
+/**
+ * Picks a goal for when the server has not assigned one, e.g. when offline.
+ * The goal is seeded by the date, so that everyone in the stadium gets the
+ * same goal on the same day.
+ */
+function createFallbackGoal() {
+  const now = new Date();
+  const seed = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+  state.goal = getSeededGoal(seed);
+}
+
+/**
+ * Initializes events for the goal container, which shows the goal that
+ * scored sets are checked against. The goal may have been assigned before
+ * the container existed.
+ * @param {PIXI.Sprite} goalContainer
+ */
+function initGoalEvents(goalContainer) {
+  const goalDescription = goalContainer.parent.getChildByName('goalDescription');
+  const update = goal => {
+    if (GoalTypesMetadata[goal] === undefined) {
+      return;
+    }
+
+    // Some goals do not have artwork, so describe them in words instead.
+    const file = GoalTypesMetadata[goal].file;
+    if (file !== '') {
+      goalContainer.texture = PIXI.loader.resources[`resources/${file}`].texture;
+    }
+    goalContainer.visible = file !== '';
+    goalDescription.text = GoalTypesMetadata[goal].description;
+    goalDescription.visible = file === '';
+    renderer.isDirty = true;
+  };
+
+  state.emitter.on(state.EVENT_GOAL_CHANGED, update);
+  update(state.goal);
+}
+
+/**
+ * Handles incoming messages.
+ * @param {Object} message
+ * @param {string} message.event
+ * @param {*} message.data
+ */
+function handleIncomingMessage(message) {
+  switch (message.event) {
+    case 'server:hello':
+      handleHello(message.data);
+      break;
+    case 'server:playsCreated':
+      handlePlaysCreated(message.data);
+      break;
+    case 'server:goalAssigned':
+      handleGoalAssigned(message.data);
+      break;
+    default:
+  }
+}
+
+/**
+ * Handles goal assigned event.
+ * @param {number} id The server ID of the goal.
+ */
+function handleGoalAssigned(id) {
+  const goal = getGoalByServerId(id);
+  if (goal === GoalTypes.UNKNOWN) {
+    console.warn(`Ignoring unknown goal ID ${id}`);
+    return;
+  }
+
+  state.goal = goal;
+}
+
+/**
+ * Handles hello event. The server replies to our hello with the protocol
+ * version it picked from the ones we support. A hello without one keeps the
+ * current version.
+ * @param {Object?} data
+ * @param {number} data.protocolVersion
+ */
+function handleHello(data) {
+  if (typeof data !== 'object' || data === null) {
+    console.warn('Ignoring hello without a protocol version');
+    return;
+  }
+
+  PlaybookEvents.setProtocolVersion(data.protocolVersion);
+}
+
+/**
+ * Handles plays created event. Plays that have already been applied are
+ * ignored.
+ * @param {Array.<number|Object>} data
+ */
+function handlePlaysCreated(data) {
+  const plays = filterUnappliedPlays(parsePlays(data), state.appliedPlayIds);
+  if (plays.length === 0) {
+    return;
+  }
+
+  // The applied IDs are saved along with the cards below.
+  state.appliedPlayIds = rememberPlays(state.appliedPlayIds, plays);
+  const cards = plays
+    .map(play => play.event)
+    .filter(event => PlaybookEventsTeams[event] !== 'NONE');
+
+  state.incomingCards.push(...cards);
+  state.notifyCardsChanged();
+  dealNextCard();
+}
+
+/**
+ * Report a scoring event to the server. Reports go through the outbox, which
+ * keeps retrying until the server has them.
+ * @param {number} score
+ * @param {string} key Idempotency key, unique to the set that was scored.
+ */
+function reportScore(score, key) {
+  if (isReplayMode) {
+    return;
+  }
+
+  scoreOutbox.enqueue(`collect-${key}`, {
+    cat: 'collect',
+    collectScore: score,
+    id: bridge.getPlayerID()
+  });
+}
+
+/**
+ * Puts the scene back to how it was before a replay started, so that the
+ * replay can be played again from the start.
+ */
+function resetForReplay() {
+  state.cards.forEach(card => card.sprite.destroy());
+  state.cards = [];
+  state.incomingCards = [];
+  state.appliedPlayIds = [];
+  isDealing = false;
+  state.score = 0;
+  state.notifyCardsChanged();
+}
+
+/** @type {bool} */
+let isDealing = false;
+
+/**
+ * Deals the next incoming card into the next free slot on the tray. Cards are
+ * dealt one at a time, and only while no card is being dragged and the hand
+ * has room. Once a card has been dealt, the next one follows.
+ */
+function dealNextCard() {
+  const tray = stage.getChildByName('tray');
+  if (isDealing ||
+      tray === null ||
+      state.incomingCards.length === 0 ||
+      state.cards.length >= CardSlots.COUNT ||
+      state.cards.some(card => card.isBeingDragged)) {
+    return;
+  }
+
+  const play = state.incomingCards.shift();
+  const card = createCard(play);
+  if (card === null) {
+    state.notifyCardsChanged();
+    dealNextCard();
+    return;
+  }
+
+  const cardScale = card.sprite.scale.x;
+  const slotPosition = getCardSlotPosition(tray, state.cards.length);
+  state.cards.push(card);
+  initCardEvents(card, tray);
+  state.notifyCardsChanged();
+
+  // Flip the card over, then slide it into its slot.
+  const flip = new PIXI.action.ScaleTo(cardScale, cardScale, 0.2);
+  const slide = new PIXI.action.MoveTo(slotPosition.x, slotPosition.y, 0.25);
+  const callFunc = new PIXI.action.CallFunc(() => {
+    card.isAnimating = false;
+    isDealing = false;
+    layoutCards(tray);
+    dealNextCard();
+  });
+
+  isDealing = true;
+  card.isAnimating = true;
+  card.sprite.scale.set(0, cardScale);
+  PIXI.actionManager.runAction(card.sprite, new PIXI.action.Sequence([flip, slide, callFunc]));
+}
+
+/**
+ * Returns whether a play has a card. Only plays that belong to either team
+ * do.
+ * @param {string} play
+ * @returns {bool}
+ */
+function isCardEvent(play) {
+  const team = PlaybookEventsTeams[play];
+  return team === 'BATTING' || team === 'FIELDING';
+}
+
+/**
+ * Creates a card for a play. Plays that do not belong to either team do not
+ * have cards.
+ * @param {string} play
+ * @returns {Card?}
+ */
+function createCard(play) {
+  if (!isCardEvent(play)) {
+    return null;
+  }
+
+  const team = PlaybookEventsTeams[play];
+
+  let teamString;
+  if (team === 'FIELDING') {
+    teamString = 'F-';
+  } else if (team === 'BATTING') {
+    teamString = 'B-';
+  }
+
+  const tray = stage.getChildByName('tray');
+  const mapString = PlaybookEventsStringMap[play];
+  const cardTexture = PIXI.loader.resources[`resources/cards/Card-${teamString}${mapString}.jpg`].texture;
+  const cardSprite = new PIXI.Sprite(cardTexture);
+  const cardScale = getCardScaleForSlot(cardTexture, tray);
+  cardSprite.name = 'card';
+  cardSprite.position.set(window.innerWidth / 2, window.innerHeight / 2);
+  cardSprite.scale.set(cardScale, cardScale);
+  cardSprite.anchor.set(0.5, 0.5);
+  stage.addChild(cardSprite);
+
+  const card = new Card(play);
+  card.sprite = cardSprite;
+  return card;
+}
+
+/**
+ * Moves every card that is not being dragged to its slot on the tray.
+ * @param {PIXI.Sprite} tray
+ */
+function layoutCards(tray) {
+  state.cards.forEach((card, i) => {
+    if (!card.isBeingDragged && card.selectedTarget === null) {
+      card.moveToSlot(tray, i);
+    }
+  });
+}
+
+/**
+ * Returns the cards that have been dragged onto the score button.
+ * @returns {Array.<Card>}
+ */
+function getStagedCards() {
+  return state.cards.filter(card => card.selectedTarget !== null);
+}
+
+/**
+ * Moves every card on the score button that is not being dragged to its
+ * place on the button.
+ * @param {PIXI.Sprite} scoreButton
+ */
+function layoutStagedCards(scoreButton) {
+  const stagedCards = getStagedCards();
+  stagedCards.forEach((card, i) => {
+    if (!card.isBeingDragged) {
+      card.moveToScoreButton(scoreButton, i, stagedCards.length);
+    }
+  });
+}
+
+/**
+ * Checks the cards on the score button against the active goal. If they
+ * complete it, the cards that were used are collected into the score and the
+ * rest go back to the tray.
+ * @returns {bool} whether the cards were scored
+ */
+function scoreStagedCards() {
+  const stagedCards = getStagedCards();
+  const result = evaluateGoal(state.goal, stagedCards.map(card => card.event));
+  if (!result.isMatch) {
+    return false;
+  }
+
+  const shadow = stage.getChildByName('shadow');
+  const scoreTextPosition = shadow.toGlobal(shadow.getChildByName('score').position);
+  const usedCards = result.cardIndices.map(i => stagedCards[i]);
+  usedCards.forEach(card => {
+    state.cards.splice(state.cards.indexOf(card), 1);
+    collectCard(card, scoreTextPosition);
+  });
+
+  stagedCards
+    .filter(card => !usedCards.includes(card))
+    .forEach(card => card.selectedTarget = null);
+
+  // The ID is saved along with the score below.
+  const scoredSetId = state.nextScoredSetId++;
+  state.notifyCardsChanged();
+  state.score += result.score;
+  reportScore(result.score, `${state.goal}-${scoredSetId}`);
+  showScoreButtonMessage(`+${result.score}`);
+  layoutCards(stage.getChildByName('tray'));
+  dealNextCard();
+  return true;
+}
+
+/**
+ * Sends the cards on the score button back to the tray because they do not
+ * make a set for the active goal.
+ */
+function rejectStagedCards() {
+  getStagedCards().forEach(card => card.selectedTarget = null);
+  showScoreButtonMessage('Not a set!'.toUpperCase());
+  layoutCards(stage.getChildByName('tray'));
+  navigator.vibrate(200);
+}
+
+/**
+ * Animates a scored card into the score and removes it.
+ * @param {Card} card
+ * @param {PIXI.Point} scoreTextPosition
+ */
+function collectCard(card, scoreTextPosition) {
+  const moveTo = new PIXI.action.MoveTo(scoreTextPosition.x, scoreTextPosition.y, 0.5);
+  const callFunc = new PIXI.action.CallFunc(() => card.sprite.destroy());
+  const scaleTo = new PIXI.action.ScaleTo(0, 0, 0.25);
+  card.sprite.interactive = false;
+  PIXI.actionManager.runAction(card.sprite, new PIXI.action.Sequence([moveTo, callFunc]));
+  PIXI.actionManager.runAction(card.sprite, scaleTo);
+}
+
+/**
+ * Shows a short message over the score button that floats up and fades out.
+ * @param {string} message
+ */
+function showScoreButtonMessage(message) {
+  const scoreButton = stage.getChildByName('scoreButton');
+  const bounds = scoreButton.getBounds();
+
+  const text = new PIXI.Text(message);
+  text.anchor.set(0.5, 0.5);
+  text.position.set(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+  text.style.fontFamily = 'proxima-nova-excn';
+  text.style.fontWeight = 900;
+  text.style.fontSize = 72.0;
+  text.style.fill = 0xffffff;
+  text.style.stroke = 0x000000;
+  text.style.strokeThickness = 6;
+  stage.addChild(text);
+
+  const moveBy = new PIXI.action.MoveBy(0, -bounds.height / 4, 1.0);
+  const callFunc = new PIXI.action.CallFunc(() => text.destroy());
+  PIXI.actionManager.runAction(text, new PIXI.action.Sequence([moveBy, callFunc]));
+  PIXI.actionManager.runAction(text, new PIXI.action.FadeOut(0.75));
+}
+
+/**
+ * Removes a card from the hand and fades it out.
+ * @param {Card} card
+ */
+function discardCard(card) {
+  const tray = stage.getChildByName('tray');
+  state.cards.splice(state.cards.indexOf(card), 1);
+
+  const fadeOut = new PIXI.action.FadeOut(0.25);
+  const callFunc = new PIXI.action.CallFunc(() => card.sprite.destroy());
+  card.sprite.interactive = false;
+  PIXI.actionManager.runAction(card.sprite, new PIXI.action.Sequence([fadeOut, callFunc]));
+
+  state.notifyCardsChanged();
+  layoutCards(tray);
+  dealNextCard();
+}
+
+/**
+ * Sets up events for a card.
+ * @param {Card} card
+ * @param {PIXI.Sprite} tray
+ */
+function initCardEvents(card, tray) {
+  const discard = stage.getChildByName('discard');
+  const scoreButton = stage.getChildByName('scoreButton');
+  card.sprite.interactive = true;
+
+  const cancelLongPress = function () {
+    clearTimeout(card.longPressTimeout);
+    card.longPressTimeout = null;
+  };
+
+  const onLongPress = function () {
+    card.longPressTimeout = null;
+    card.isBeingDragged = false;
+    card.moveToOrigPosition();
+    showCardInspector(card);
+  };
+
+  const onTouchStart = function (e) {
+    // Don't allow interaction if card is being animated.
+    if (card.isAnimating) { return; }
+
+    card.isBeingDragged = true;
+    card.dragPointerId = e.data.identifier;
+    card.dragOffset = e.data.getLocalPosition(card.sprite);
+    card.dragOffset.x *= card.sprite.scale.x;
+    card.dragOffset.y *= card.sprite.scale.y;
+    card.dragOrigPosition = new PIXI.Point(
+      card.sprite.position.x,
+      card.sprite.position.y
+    );
+
+    // Holding the card still opens the inspector.
+    card.longPressTimeout = setTimeout(onLongPress, LONG_PRESS_DURATION);
+
+    // Bring the card above the others while it is being dragged.
+    stage.addChild(card.sprite);
+  };
+
+  const onTouchMove = function (e) {
+    if (card.isBeingDragged &&
+        card.dragPointerId === e.data.identifier) {
+      card.sprite.position.set(
+        e.data.global.x - card.dragOffset.x,
+        e.data.global.y - card.dragOffset.y
+      );
+
+      // Moving the card too far turns the hold into a drag.
+      const dx = card.sprite.position.x - card.dragOrigPosition.x;
+      const dy = card.sprite.position.y - card.dragOrigPosition.y;
+      if (Math.sqrt(dx * dx + dy * dy) > LONG_PRESS_TOLERANCE) {
+        cancelLongPress();
+      }
+
+      // Check if we're above the score button or the discard banner.
+      if (scoreButton.getBounds().contains(e.data.global.x, e.data.global.y)) {
+        card.dragTarget = scoreButton;
+      } else if (discard.getBounds().contains(e.data.global.x, e.data.global.y)) {
+        card.dragTarget = discard;
+      } else {
+        card.dragTarget = null;
+      }
+
+      // Re-render the scene.
+      renderer.isDirty = true;
+    }
+  };
+
+  const onTouchEnd = function (e) {
+    cancelLongPress();
+
+    // Don't allow interaction if card is being animated.
+    if (card.isAnimating || !card.isBeingDragged) { return; }
+    card.isBeingDragged = false;
+
+    const slot = getCardSlotAt(tray, e.data.global);
+    const index = state.cards.indexOf(card);
+
+    // Put the card on the score button, discard it, move it to another slot,
+    // or send it back.
+    if (card.dragTarget === scoreButton) {
+      card.selectedTarget = scoreButton;
+      card.dragTarget = null;
+      if (!scoreStagedCards()) {
+        layoutStagedCards(scoreButton);
+        dealNextCard();
+      }
+      return;
+    }
+
+    const wasStaged = card.selectedTarget !== null;
+    card.selectedTarget = null;
+
+    if (card.dragTarget === discard) {
+      discardCard(card);
+    } else if (slot !== -1 && slot !== index) {
+      state.cards.splice(index, 1);
+      state.cards.splice(slot, 0, card);
+      state.notifyCardsChanged();
+      layoutCards(tray);
+    } else if (wasStaged) {
+      card.moveToSlot(tray, index);
+    } else {
+      card.moveToOrigPosition();
+    }
+
+    card.dragTarget = null;
+    layoutStagedCards(scoreButton);
+    dealNextCard();
+  };
+
+  card.sprite
+    .on('touchstart', onTouchStart)
+    .on('touchmove', onTouchMove)
+    .on('touchend', onTouchEnd)
+    .on('touchendoutside', onTouchEnd)
+    .on('touchcancel', onTouchEnd);
+}
+
+/**
+ * Initializes events for the score.
+ * @param {PIXI.Text} scoreText
+ */
+function initScoreEvents(scoreText) {
+  state.emitter.on(state.EVENT_SCORE_CHANGED, function (score) {
+    scoreText.text = ('000000' + score).substr(-3);
+    renderer.isDirty = true;
+  });
+}
+
+/**
+ * Initializes events for the goal progress meter. The meter follows the
+ * cards in the hand and the active goal.
+ * @param {GoalProgressMeter} goalProgressMeter
+ */
+function initGoalProgressMeterEvents(goalProgressMeter) {
+  const update = () => {
+    goalProgressMeter.update(getGoalProgress(state.goal, state.cards.map(card => card.event)));
+  };
+
+  state.emitter.on(state.EVENT_CARDS_CHANGED, update);
+  state.emitter.on(state.EVENT_GOAL_CHANGED, update);
+  update();
+}
+
+/**
+ * Initializes events for the card inspector overlay. Tapping anywhere closes
+ * it.
+ * @param {CardInspectorOverlay} overlay
+ */
+function initCardInspectorOverlayEvents(overlay) {
+  overlay.interactive = true;
+  overlay.on('tap', () => {
+    const fadeOut = new PIXI.action.FadeOut(0.25);
+    const callFunc = new PIXI.action.CallFunc(() => {
+      overlay.destroy();
+      dealNextCard();
+    });
+    overlay.interactive = false;
+    PIXI.actionManager.runAction(overlay, new PIXI.action.Sequence([fadeOut, callFunc]));
+  });
+}
+
+/**
+ * Initializes events for the score button. Tapping the button while the cards
+ * on it do not make a set sends them back to the tray.
+ * @param {PIXI.Sprite} scoreButton
+ */
+function initScoreButtonEvents(scoreButton) {
+  scoreButton.interactive = true;
+  scoreButton.on('tap', function () {
+    if (getStagedCards().length > 0 && !scoreStagedCards()) {
+      rejectStagedCards();
+    }
+  });
+}
+
+/**
+ * Sets up the renderer. Adjusts the renderer according to the size of the
+ * viewport, and adds it to the DOM tree.
+ * @param {PIXI.WebGLRenderer} renderer
+ */
+function configureRenderer(renderer) {
+  const resizeToFitWindow = function (renderer) {
+    renderer.resize(window.innerWidth, window.innerHeight);
+  };
+
+  renderer.view.style.position = 'absolute';
+  renderer.view.style.display = 'block';
+  renderer.autoResize = true;
+  resizeToFitWindow(renderer);
+  document.body.appendChild(renderer.view);
+  window.addEventListener('resize', resizeToFitWindow.bind(this, renderer));
+};
+
+/**
+ * Sets up the WebSocket connection. After a reconnect, we ask the server to
+ * resend the plays we missed. Plays we already have are ignored by their ID.
+ * @param {PlaybookSocket} connection
+ */
+function configureWebSocket(connection) {
+  connection.on(connection.EVENT_OPEN, function (isReconnect) {
+    console.log(`Connected to ${connection.url}`);
+
+    // Tell the server which protocol versions we understand.
+    connection.send('client:hello', { protocolVersions: PlaybookEventsProtocolVersions });
+
+    if (isReconnect) {
+      const appliedPlayIds = state.appliedPlayIds;
+      connection.send('client:resync', {
+        lastPlayId: appliedPlayIds.length > 0 ? appliedPlayIds[appliedPlayIds.length - 1] : null
+      });
+    }
+  });
+
+  connection.on(connection.EVENT_MESSAGE, message => {
+    if (!isReplayMode) {
+      handleIncomingMessage(message);
+    }
+  });
+};
+
+/**
+ * Initializes the connection status indicator, a dot that is green while
+ * connected, yellow while connecting and red while disconnected.
+ * @param {PIXI.Graphics} indicator
+ * @param {number} radius
+ */
+function initConnectionIndicatorEvents(indicator, radius) {
+  const colors = {
+    [ConnectionStatuses.CONNECTING]: 0xffcc00,
+    [ConnectionStatuses.CONNECTED]: 0x33cc33,
+    [ConnectionStatuses.DISCONNECTED]: 0xcc3333
+  };
+
+  const update = function (status) {
+    indicator.clear();
+    indicator.beginFill(colors[status]);
+    indicator.drawCircle(0, 0, radius);
+    indicator.endFill();
+    renderer.isDirty = true;
+  };
+
+  connection.on(connection.EVENT_STATUS_CHANGED, update);
+  update(connection.status);
+}
+
+function setup() {
+
+  //console.log('Test from JS!');
+  // Add background to screen.
+  const bgTexture = PIXI.loader.resources['resources/Collection-BG-Wood.jpg'].texture;
+  const bg = new PIXI.Sprite(bgTexture);
+  bg.scale.x = window.innerWidth / bgTexture.width;
+  bg.scale.y = window.innerHeight / bgTexture.height;
+  bg.zOrder = 0;
+  stage.addChild(bg);
+
+  // Add banner on top to screen.
+  /*
+  const bannerTexture = PIXI.loader.resources['resources/Collection-Banner-9x16.png'].texture
+  const banner = new PIXI.Sprite(bannerTexture);
+  const bannerScale = window.innerWidth / bannerTexture.width;
+  const bannerHeight = bannerScale * bannerTexture.height;
+  banner.scale.set(bannerScale, bannerScale);
+  banner.zOrder = 1;
+  stage.addChild(banner);
+*/
+  // Add card tray to screen.
+  const trayTexture = PIXI.loader.resources['resources/Collection-Tray-9x16.png'].texture;
+  const tray = new PIXI.Sprite(trayTexture);
+  const trayScale = window.innerWidth / trayTexture.width;
+  const trayHeight = trayScale * trayTexture.height;
+  tray.name = 'tray';
+  tray.position.set(0, window.innerHeight - trayHeight);
+  tray.scale.set(trayScale, trayScale);
+  tray.zOrder = 2;
+  stage.addChild(tray);
+
+ //Add top shadow
+  const shadow2Texture = PIXI.loader.resources['resources/Collection-Shadow-Overturn.png'].texture;
+  const shadow2 = new PIXI.Sprite(shadow2Texture);
+  const shadow2Scale = window.innerWidth;
+  const shadow2Height = 64.0;
+  shadow2.name = 'shadowTop';
+  shadow2.position.set(0, 48);
+  shadow2.scale.set(shadow2Scale, 1);
+  shadow2.zOrder = 3;
+  stage.addChild(shadow2);
+
+  //Add score bar
+  const scoreBarTexture = PIXI.loader.resources['resources/Collection-Bar-Gold-9x16.png'].texture;
+  const scoreBar = new PIXI.Sprite(scoreBarTexture);
+  const scoreBarScale = window.innerWidth / 2;
+  const scoreBarHeight = 96.0;
+  scoreBar.name = 'scoreBar';
+  scoreBar.position.set(0, window.innerHeight - scoreBarHeight / 2  - trayHeight - 16.0);
+  scoreBar.scale.set(scoreBarScale, 0.5);
+  scoreBar.zOrder = 2;
+  stage.addChild(scoreBar);
+
+//Add score bar shadow
+  const shadowTexture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
+  const shadow = new PIXI.extras.TilingSprite(shadowTexture, window.innerWidth / 2, 96.0);
+  const shadowScale = window.innerWidth / 2;
+  const shadowHeight = 96.0;
+  shadow.name = 'shadow';
+  shadow.position.set(0, window.innerHeight - shadowHeight / 2  - trayHeight - 16.0);
+  shadow.tileScale.set(1, 0.5);
+  shadow.zOrder = 3;
+  stage.addChild(shadow);
+
+//Add score label
+ /** @type {PIXI.Text} */
+    const shadowText = new PIXI.Text();
+    shadowText.position.set(16, shadowHeight / 4);
+    //shadowText.scale.set(1 / shadowScale, 2);
+    //shadowText.position.set(0, 1);
+    shadowText.anchor.set(0.0, 0.5);
+    shadowText.text = 'Score:'.toUpperCase();
+    shadowText.style.fontFamily = 'proxima-nova-excn';
+    
+    shadowText.style.fill = 0xffffff;
+    shadowText.style.fontWeight = 900;
+
+    //shadowText.zOrder = 4;
+    //this.text.style.fontWeight = 'bold';
+    shadowText.style.fontSize = 36.0;
+    //this.text.style.align = 'center';
+    shadow.addChild(shadowText);
+
+ //Add score
+    const scoreText = new PIXI.Text();
+    scoreText.name = 'score';
+    scoreText.position.set(32 + shadowText.width, shadowHeight / 4);
+    //scoreText.scale.set(1 / shadowScale, 2);
+    //scoreText.position.set(0, 1);
+    scoreText.anchor.set(0.0, 0.5);
+    scoreText.text = '000';
+    scoreText.style.fontFamily = 'SCOREBOARD';
+    renderer.isDirty = true;
+    
+    scoreText.style.fill = 0xffffff;
+
+
+    //scoreText.zOrder = 4;
+    //this.text.style.fontWeight = 'bold';
+    scoreText.style.fontSize = 36.0;
+    //this.text.style.align = 'center';
+    initScoreEvents(scoreText);
+    shadow.addChild(scoreText);
+
+  //Add bottom shadow
+  const shadow3Texture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
+  const shadow3 = new PIXI.Sprite(shadow3Texture);
+  const shadow3Scale = window.innerWidth;
+  const shadow3Height = 64.0;
+  shadow3.name = 'shadowBottom';
+  shadow3.position.set(0, window.innerHeight - scoreBarHeight*2  - trayHeight);
+  shadow3.scale.set(shadow3Scale, 1);
+  shadow3.zOrder = 0;
+  stage.addChild(shadow3);
+
+ //Add goal bar
+ const goalBarTexture = PIXI.loader.resources['resources/Collection-Bar-Yellow-9x16.png'].texture;
+ const goalBar = new PIXI.Sprite(goalBarTexture);
+ const goalBarScale = window.innerWidth / 2;
+ const goalBarHeight = 96.0;
+ goalBar.name = 'scoreBar';
+ goalBar.position.set(window.innerWidth / 2, window.innerHeight - goalBarHeight / 2 - trayHeight - 16.0);
+ goalBar.scale.set(goalBarScale, 0.5);
+ goalBar.zOrder = 2;
+ stage.addChild(goalBar);
+
+ //Add goal bar shadow
+  const shadow1Texture = PIXI.loader.resources['resources/Collection-Shadow-9x16.png'].texture;
+  const shadow1 = new PIXI.extras.TilingSprite(shadow1Texture, window.innerWidth / 2, 96);
+  const shadow1Scale = window.innerWidth / 2;
+  const shadow1Height = 96.0;
+  shadow1.name = 'shadowGoal';
+  shadow1.position.set(window.innerWidth / 2, window.innerHeight - shadow1Height / 2 - trayHeight - 16.0);
+  shadow1.tileScale.set(1, 0.5);
+  shadow1.zOrder = 3;
+  stage.addChild(shadow1);
+
+  //Add goal bar label
+  /** @type {PIXI.Text} */
+    const goalText = new PIXI.Text();
+    goalText.position.set(16, shadowHeight / 4);
+    //goalText.scale.set(1 / shadowScale, 2);
+    //goalText.position.set(0, 1);
+    goalText.anchor.set(0.0, 0.5);
+    goalText.text = 'Goal:'.toUpperCase();
+    goalText.style.fontFamily = 'proxima-nova-excn';
+    
+    goalText.style.fill = 0x806200;
+    goalText.style.fontWeight = 900;
+
+    //goalText.zOrder = 4;
+    //this.text.style.fontWeight = 'bold';
+    goalText.style.fontSize = 36.0;
+    //this.text.style.align = 'center';
+    shadow1.addChild(goalText);
+
+//Add goal container?
+  const goalContainerTexture = PIXI.loader.resources['resources/goal/goal1.png'].texture;
+  const goalContainer = new PIXI.Sprite(goalContainerTexture);
+  const goalContainerScale = (window.innerWidth / 2 - goalText.width - 48) / goalContainer.width;
+  const goalContainerHeight = 96.0;
+  goalContainer.name = 'goalContainer';
+  goalContainer.position.set(window.innerWidth / 2 - 16, goalContainerHeight * goalContainerScale);
+  goalContainer.scale.set(goalContainerScale, goalContainerScale);
+  goalContainer.anchor.set(1,0.5);
+  goalContainer.zOrder = 4;
+  shadow1.addChild(goalContainer);
+
+  const goalDescription = new PIXI.Text();
+  goalDescription.name = 'goalDescription';
+  goalDescription.position.set(window.innerWidth / 2 - 16, shadow1Height / 4);
+  goalDescription.anchor.set(1.0, 0.5);
+  goalDescription.style.fontFamily = 'proxima-nova-excn';
+  goalDescription.style.fill = 0x806200;
+  goalDescription.style.fontWeight = 900;
+  goalDescription.style.fontSize = 24.0;
+  goalDescription.visible = false;
+  shadow1.addChild(goalDescription);
+  initGoalEvents(goalContainer);
+
+  //Add goal progress meter above the goal bar
+  const goalProgressMeter = new GoalProgressMeter(window.innerWidth / 2 - 32, 32.0);
+  goalProgressMeter.name = 'goalProgressMeter';
+  goalProgressMeter.position.set(
+    window.innerWidth * 3 / 4,
+    shadow1.position.y - goalProgressMeter.height / 2 - 8.0
+  );
+  initGoalProgressMeterEvents(goalProgressMeter);
+  stage.addChild(goalProgressMeter);
+
+
+  //Add banner on top
+  const cbTexture = PIXI.loader.resources['resources/Prediction-Banner.png'].texture;
+  const cb = new PIXI.Sprite(cbTexture);
+  const cbScale = window.innerWidth / cbTexture.width;
+  const cbHeight = cbScale * cbTexture.height;
+  cb.scale.set(cbScale, cbScale);
+  cb.zOrder = 1;
+  stage.addChild(cb);
+
+  //Add Drag to Discard Banner
+  const discardTexture = PIXI.loader.resources['resources/Collection-Banner-9x16.png'].texture;
+  const discard = new PIXI.extras.TilingSprite(discardTexture, window.innerWidth, 36);
+  //const discardScale = window.innerWidth;
+  const discardHeight = 36.0;
+  discard.name = 'discard';
+  discard.position.set(0, cbHeight / 2);
+  discard.tileScale.set(1, 0.5);
+  discard.zOrder = 2;
+  stage.addChild(discard);
+
+  //Add discard label
+  /** @type {PIXI.Text} */
+    const discardText = new PIXI.Text();
+    discardText.position.set(window.innerWidth / 2, discardHeight / 2);
+    //discardText.scale.set(1 / shadowScale, 2);
+    //discardText.position.set(0, 1);
+    discardText.anchor.set(0.5, 0.5);
+    discardText.text = 'drag plays up to discard'.toUpperCase();
+    discardText.style.fontFamily = 'proxima-nova-excn';
+    
+    discardText.style.fill = 0xffffff;
+    discardText.style.fontWeight = 900;
+
+    //discardText.zOrder = 4;
+    //this.text.style.fontWeight = 'bold';
+    discardText.style.fontSize = 36.0;
+    discardText.style.align = 'center';
+    discard.addChild(discardText);
+
+  // Add connection status indicator to the right of the discard banner.
+  const connectionIndicator = new PIXI.Graphics();
+  const connectionIndicatorRadius = discardHeight / 4;
+  connectionIndicator.position.set(
+    window.innerWidth - discardHeight / 2,
+    discard.position.y + discardHeight / 2
+  );
+  initConnectionIndicatorEvents(connectionIndicator, connectionIndicatorRadius);
+  stage.addChild(connectionIndicator);
+
+  //Add score button
+  const scoreButtonTexture = PIXI.loader.resources['resources/Collection-Star-9x16.png'].texture;
+  const scoreButton = new PIXI.Sprite(scoreButtonTexture);
+  const scoreButtonScale = (window.innerWidth - 128*2) / scoreButtonTexture.width;
+  const scoreButtonHeight = window.innerHeight - 128*2 - trayHeight - scoreBarHeight - discardHeight;
+  scoreButton.name = 'scoreButton';
+  scoreButton.position.set(window.innerWidth / 2, discardHeight * 2);
+  scoreButton.scale.set(scoreButtonScale, scoreButtonScale);
+  scoreButton.anchor.set(0.5, 0);
+  scoreButton.zOrder = 2;
+  initScoreButtonEvents(scoreButton);
+  stage.addChild(scoreButton);
+
+  /**
+   * Begin the animation loop.
+   * @param {DOMHighResTimeStamp} now
+   */
+  function beginDrawLoop(now) {
+    const numPendingActions = Object.keys(PIXI.actionManager.actions).length;
+    if (numPendingActions > 0) {
+      renderer.isDirty = true;
+    }
+
+    // For mobile phones, we don't go full-blast at 60 fps.
+    // Re-render only if dirty.
+    if (renderer.isDirty) {
+      PIXI.actionManager.update((now - lastRenderTime) / 1000);
+      //fieldOverlay.update();
+      renderer.render(stage);
+      renderer.isDirty = false;
+      
+    }
+
+    lastRenderTime = now;
+    requestAnimationFrame(beginDrawLoop);
+  };
+
+  let lastRenderTime = performance.now();
+  renderer.isDirty = true;
+  bridge.notifyLoaded();
+
+  // The host restores the saved game, if there is one, once it hears that we
+  // have loaded. Only from here on may the game be saved.
+  state.isRestored = true;
+
+  // Fall back to a seeded goal until the server assigns one.
+  if (state.goal === GoalTypes.UNKNOWN) {
+    createFallbackGoal();
+  }
+
+  // Deal any cards that arrived while the scene was loading.
+  dealNextCard();
+
+  if (isReplayMode) {
+    startReplayMode(handleIncomingMessage, resetForReplay);
+  }
+
+  beginDrawLoop(lastRenderTime);
+};
+
+// Create and configure the renderer.
+configureRenderer(renderer);
+configureWebSocket(connection);
+
+// Load the sprites we need.
+PIXI.loader
+  .add('resources/Collection-BG-Wood.jpg')
+  .add('resources/Collection-Banner-9x16.png')
+  .add('resources/Collection-Tray-9x16.png')
+  .add('resources/Collection-Star-9x16.png')
+  .add('resources/Collection-Bar-Gold-9x16.png')
+  .add('resources/Collection-Bar-Green-9x16.png')
+  .add('resources/Collection-Bar-Yellow-9x16.png')
+  .add('resources/Collection-Shadow-9x16.png')
+  .add('resources/Collection-Shadow-Overturn.png')
+  .add('resources/Prediction-Banner.png')
+  .add('resources/goal/goal1.png')
+  .add('resources/goal/goal2.png')
+  .add('resources/goal/goal3.png')
+  .add('resources/goal/goal4.png')
+  .add('resources/goal/goal5.png')
+  .add('resources/goal/goal6.png')
+  .add('resources/goal/goal7.png')
+  .add('resources/goal/goal8.png')
+  .add('resources/goal/goal9.png')
+  .add('resources/goal/goal10.png')
+  .add('resources/goal/goal11.png')
+  .add('resources/goal/goal12.png')
+  .add('resources/goal/goal13.png')
+  .add('resources/goal/goal14.png')
+  .add('resources/goal/goal15.png')
+  .add('resources/cards/Card-B-FirstBase.jpg')
+  .add('resources/cards/Card-B-GrandSlam.jpg')
+  .add('resources/cards/Card-B-HitByPitch.jpg')
+  .add('resources/cards/Card-B-HomeRun.jpg')
+  .add('resources/cards/Card-B-RunScored.jpg')
+  .add('resources/cards/Card-B-SecondBase.jpg')
+  .add('resources/cards/Card-B-Steal.jpg')
+  .add('resources/cards/Card-B-ThirdBase.jpg')
+  .add('resources/cards/Card-B-Walk.jpg')
+  .add('resources/cards/Card-F-BlockedRun.jpg')
+  .add('resources/cards/Card-F-DoublePlay.jpg')
+  .add('resources/cards/Card-F-FieldersChoice.jpg')
+  .add('resources/cards/Card-F-FlyOut.jpg')
+  .add('resources/cards/Card-F-GroundOut.jpg')
+  .add('resources/cards/Card-F-LongOut.jpg')
+  .add('resources/cards/Card-F-PickOff.jpg')
+  .add('resources/cards/Card-F-Strikeout.jpg')
+  .add('resources/cards/Card-F-TriplePlay.jpg')
+  .add('resources/cards/Card-F-UnopposedStrikeout.jpg')
   .load(setup);
\ No newline at end of file
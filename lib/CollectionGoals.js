@@ -0,0 +1,630 @@
+'use strict';
+import PlaybookEvents,
+  { CardColors, Attributes as PlaybookEventsAttributes } from './PlaybookEvents';
+
+/**
+ * @enum {string}
+ */
+const GoalTypes = {
+  IDENTICAL_CARDS_3: 'IDENTICAL_CARDS_3',
+  IDENTICAL_CARDS_4: 'IDENTICAL_CARDS_4',
+  IDENTICAL_CARDS_5: 'IDENTICAL_CARDS_5',
+  UNIQUE_OUT_CARDS_3: 'UNIQUE_OUT_CARDS_3',
+  UNIQUE_OUT_CARDS_4: 'UNIQUE_OUT_CARDS_4',
+  WALK_OR_HIT_BY_PITCH_3: 'WALK_OR_HIT_BY_PITCH_3',
+  OUT_3: 'OUT_3',
+  BASES_RBI_3: 'BASES_RBI_3',
+  EACH_COLOR_1: 'EACH_COLOR_1',
+  EACH_COLOR_2: 'EACH_COLOR_2',
+  SAME_COLOR_3: 'SAME_COLOR_3',
+  SAME_COLOR_4: 'SAME_COLOR_4',
+  SAME_COLOR_5: 'SAME_COLOR_5',
+  BASE_STEAL_RBI: 'BASE_STEAL_RBI',
+  ON_BASE_STEAL_PICK_OFF: 'ON_BASE_STEAL_PICK_OFF',
+  FULL_HOUSE: 'FULL_HOUSE',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/** @type {Object.<string, Object>} */
+const GoalTypesMetadata = {
+  [GoalTypes.IDENTICAL_CARDS_3]: {
+    description: '3 IDENTICAL CARDS',
+    file: 'goal/goal1.png',
+    score: 8,
+    isHidden: true,
+    serverId: 1
+  },
+  [GoalTypes.IDENTICAL_CARDS_4]: {
+    description: '4 IDENTICAL CARDS',
+    file: 'goal/goal2.png',
+    score: 12,
+    isHidden: false,
+    serverId: 9
+  },
+  [GoalTypes.UNIQUE_OUT_CARDS_4]: {
+    description: '4 DIFFERENT OUT CARDS',
+    file: 'goal/goal3.png',
+    score: 12,
+    isHidden: false,
+    serverId: 17
+  },
+  [GoalTypes.IDENTICAL_CARDS_5]: {
+    description: '5 IDENTICAL CARDS',
+    file: 'goal/goal4.png',
+    score: 20,
+    isHidden: false,
+    serverId: 13
+  },
+  [GoalTypes.WALK_OR_HIT_BY_PITCH_3]: {
+    description: '3 OF WALK OR HIT BY PITCH',
+    file: 'goal/goal5.png',
+    score: 8,
+    isHidden: true,
+    serverId: 4
+  },
+  [GoalTypes.OUT_3]: {
+    description: 'SET SHOWS 3 OUTS',
+    file: 'goal/goal6.png',
+    score: 6,
+    isHidden: false,
+    serverId: 7
+  },
+  [GoalTypes.BASES_RBI_3]: {
+    description: 'SET SHOWS 3 BASES',
+    file: 'goal/goal7.png',
+    score: 12,
+    isHidden: false,
+    serverId: 16
+  },
+  [GoalTypes.EACH_COLOR_2]: {
+    description: '2 CARDS OF EACH COLOR',
+    file: 'goal/goal8.png',
+    score: 12,
+    isHidden: false,
+    serverId: 12
+  },
+  [GoalTypes.SAME_COLOR_3]: {
+    description: '3 CARDS OF SAME COLOR',
+    file: 'goal/goal9.png',
+    score: 8,
+    isHidden: true,
+    serverId: 2
+  },
+  [GoalTypes.EACH_COLOR_1]: {
+    description: '1 CARD OF EACH COLOR',
+    file: 'goal/goal11.png',
+    score: 4,
+    isHidden: true,
+    serverId: 3
+  },
+  [GoalTypes.UNIQUE_OUT_CARDS_3]: {
+    description: '3 DIFFERENT OUT CARDS',
+    file: 'goal/goal12.png',
+    score: 8,
+    isHidden: false,
+    serverId: 8
+  },
+  [GoalTypes.SAME_COLOR_4]: {
+    description: '4 CARDS OF SAME COLOR',
+    file: 'goal/goal13.png',
+    score: 12,
+    isHidden: false,
+    serverId: 10
+  },
+  [GoalTypes.SAME_COLOR_5]: {
+    description: '5 CARDS OF SAME COLOR',
+    file: 'goal/goal14.png',
+    score: 20,
+    isHidden: false,
+    serverId: 14
+  },
+  [GoalTypes.BASE_STEAL_RBI]: {
+    description: 'BASE, STEAL & RBI',
+    file: 'goal/goal15.png',
+    score: 8,
+    isHidden: false,
+    serverId: 11
+  },
+  [GoalTypes.ON_BASE_STEAL_PICK_OFF]: {
+    description: 'BASE, STEAL & PICK OFF',
+    file: '',
+    score: 8,
+    isHidden: true,
+    serverId: 5
+  },
+  [GoalTypes.FULL_HOUSE]: {
+    description: 'FULL HOUSE',
+    file: '',
+    score: 16,
+    isHidden: true,
+    serverId: 6
+  }
+};
+
+const getOuts = card => PlaybookEventsAttributes[card].outs;
+const getBases = card => PlaybookEventsAttributes[card].bases;
+const getColor = card => PlaybookEventsAttributes[card].color;
+const isOut = card => getOuts(card) > 0;
+const isBaseHit = card => PlaybookEventsAttributes[card].isBaseHit;
+const isOnBase = card => PlaybookEventsAttributes[card].isOnBase;
+const isRunBattedIn = card => PlaybookEventsAttributes[card].runsBattedIn > 0;
+const isSteal = card => card === PlaybookEvents.STEAL;
+const isPickOff = card => card === PlaybookEvents.PICK_OFF;
+const isWalkOrHitByPitch = card => [
+  PlaybookEvents.WALK,
+  PlaybookEvents.HIT_BY_PITCH
+].includes(card);
+const hasCard = card => getColor(card) !== null;
+
+/**
+ * Groups the indices of cards by a key.
+ * @param {Array.<string>} cards
+ * @param {function(string): string?} keyOf
+ * @returns {Object.<string, Array.<number>>}
+ */
+function groupBy(cards, keyOf) {
+  const groups = {};
+  cards.forEach((card, i) => {
+    const key = keyOf(card);
+    if (key === undefined || key === null) {
+      return;
+    }
+
+    if (groups[key] === undefined) {
+      groups[key] = [];
+    }
+
+    groups[key].push(i);
+  });
+
+  return groups;
+}
+
+/**
+ * Finds `count` cards that share the same key.
+ * @param {Array.<string>} cards
+ * @param {function(string): string?} keyOf
+ * @param {number} count
+ * @returns {Array.<number>?}
+ */
+function matchSame(cards, keyOf, count) {
+  const groups = groupBy(cards, keyOf);
+  const group = Object.keys(groups).find(key => groups[key].length >= count);
+  return group !== undefined ? groups[group].slice(0, count) : null;
+}
+
+/**
+ * Finds `count` cards for every one of the given keys.
+ * @param {Array.<string>} cards
+ * @param {function(string): string?} keyOf
+ * @param {Array.<string>} keys
+ * @param {number} count
+ * @returns {Array.<number>?}
+ */
+function matchEvery(cards, keyOf, keys, count) {
+  const groups = groupBy(cards, keyOf);
+  if (!keys.every(key => groups[key] !== undefined && groups[key].length >= count)) {
+    return null;
+  }
+
+  return keys.reduce((used, key) => used.concat(groups[key].slice(0, count)), []);
+}
+
+/**
+ * Finds `count` cards of different events that all satisfy the predicate.
+ * @param {Array.<string>} cards
+ * @param {function(string): boolean} predicate
+ * @param {number} count
+ * @returns {Array.<number>?}
+ */
+function matchUnique(cards, predicate, count) {
+  const groups = groupBy(cards, card => predicate(card) ? card : null);
+  const events = Object.keys(groups);
+  if (events.length < count) {
+    return null;
+  }
+
+  return events.slice(0, count).map(event => groups[event][0]);
+}
+
+/**
+ * Finds `count` cards that all satisfy the predicate.
+ * @param {Array.<string>} cards
+ * @param {function(string): boolean} predicate
+ * @param {number} count
+ * @returns {Array.<number>?}
+ */
+function matchAny(cards, predicate, count) {
+  const used = cards
+    .map((card, i) => predicate(card) ? i : -1)
+    .filter(i => i !== -1);
+  return used.length >= count ? used.slice(0, count) : null;
+}
+
+/**
+ * Finds a distinct card for each of the predicates, in order.
+ * @param {Array.<string>} cards
+ * @param {Array.<function(string): boolean>} predicates
+ * @returns {Array.<number>?}
+ */
+function matchEach(cards, predicates) {
+  const used = [];
+  const assign = (p) => {
+    if (p === predicates.length) {
+      return true;
+    }
+
+    for (let i = 0; i < cards.length; i++) {
+      if (!used.includes(i) && predicates[p](cards[i])) {
+        used.push(i);
+        if (assign(p + 1)) {
+          return true;
+        }
+        used.pop();
+      }
+    }
+
+    return false;
+  };
+
+  return assign(0) ? used : null;
+}
+
+/**
+ * Finds the fewest cards whose values add up to at least the target. Among
+ * sets of the same size, the one that overshoots the least wins.
+ * @param {Array.<string>} cards
+ * @param {function(string): number} valueOf
+ * @param {number} target
+ * @returns {Array.<number>?}
+ */
+function matchSum(cards, valueOf, target) {
+  const candidates = cards
+    .map((card, i) => i)
+    .filter(i => valueOf(cards[i]) > 0);
+
+  for (let size = 1; size <= candidates.length; size++) {
+    let best = null;
+    let bestSum = Infinity;
+
+    const choose = (start, chosen, sum) => {
+      if (chosen.length === size) {
+        if (sum >= target && sum < bestSum) {
+          best = chosen.slice();
+          bestSum = sum;
+        }
+        return;
+      }
+
+      for (let c = start; c < candidates.length; c++) {
+        const i = candidates[c];
+        chosen.push(i);
+        choose(c + 1, chosen, sum + valueOf(cards[i]));
+        chosen.pop();
+      }
+    };
+
+    choose(0, [], 0);
+    if (best !== null) {
+      return best;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds three identical cards and a pair of a different event.
+ * @param {Array.<string>} cards
+ * @returns {Array.<number>?}
+ */
+function matchFullHouse(cards) {
+  const groups = groupBy(cards, card => card);
+  const events = Object.keys(groups);
+  for (const three of events.filter(event => groups[event].length >= 3)) {
+    const two = events.find(event => event !== three && groups[event].length >= 2);
+    if (two !== undefined) {
+      return groups[three].slice(0, 3).concat(groups[two].slice(0, 2));
+    }
+  }
+
+  return null;
+}
+
+const colors = Object.keys(CardColors).map(color => CardColors[color]);
+
+/**
+ * Matchers for each goal. A matcher returns the indices of the cards that
+ * satisfy the goal, or null if the cards do not satisfy it.
+ * @type {Object.<string, function(Array.<string>): Array.<number>?>}
+ */
+const GoalMatchers = {
+  [GoalTypes.IDENTICAL_CARDS_3]: cards => matchSame(cards, card => card, 3),
+  [GoalTypes.IDENTICAL_CARDS_4]: cards => matchSame(cards, card => card, 4),
+  [GoalTypes.IDENTICAL_CARDS_5]: cards => matchSame(cards, card => card, 5),
+  [GoalTypes.UNIQUE_OUT_CARDS_3]: cards => matchUnique(cards, isOut, 3),
+  [GoalTypes.UNIQUE_OUT_CARDS_4]: cards => matchUnique(cards, isOut, 4),
+  [GoalTypes.WALK_OR_HIT_BY_PITCH_3]: cards => matchAny(cards, isWalkOrHitByPitch, 3),
+  [GoalTypes.OUT_3]: cards => matchSum(cards, getOuts, 3),
+  [GoalTypes.BASES_RBI_3]: cards => matchSum(cards, getBases, 3),
+  [GoalTypes.EACH_COLOR_1]: cards => matchEvery(cards, getColor, colors, 1),
+  [GoalTypes.EACH_COLOR_2]: cards => matchEvery(cards, getColor, colors, 2),
+  [GoalTypes.SAME_COLOR_3]: cards => matchSame(cards, getColor, 3),
+  [GoalTypes.SAME_COLOR_4]: cards => matchSame(cards, getColor, 4),
+  [GoalTypes.SAME_COLOR_5]: cards => matchSame(cards, getColor, 5),
+  [GoalTypes.BASE_STEAL_RBI]: cards => matchEach(cards, [isBaseHit, isSteal, isRunBattedIn]),
+  [GoalTypes.ON_BASE_STEAL_PICK_OFF]: cards => matchEach(cards, [isOnBase, isSteal, isPickOff]),
+  [GoalTypes.FULL_HOUSE]: matchFullHouse
+};
+
+/**
+ * Predicates for each goal that tell whether a card can be part of a set
+ * that satisfies the goal.
+ * @type {Object.<string, function(string): boolean>}
+ */
+const GoalContributors = {
+  [GoalTypes.IDENTICAL_CARDS_3]: hasCard,
+  [GoalTypes.IDENTICAL_CARDS_4]: hasCard,
+  [GoalTypes.IDENTICAL_CARDS_5]: hasCard,
+  [GoalTypes.UNIQUE_OUT_CARDS_3]: isOut,
+  [GoalTypes.UNIQUE_OUT_CARDS_4]: isOut,
+  [GoalTypes.WALK_OR_HIT_BY_PITCH_3]: isWalkOrHitByPitch,
+  [GoalTypes.OUT_3]: isOut,
+  [GoalTypes.BASES_RBI_3]: card => getBases(card) > 0,
+  [GoalTypes.EACH_COLOR_1]: hasCard,
+  [GoalTypes.EACH_COLOR_2]: hasCard,
+  [GoalTypes.SAME_COLOR_3]: hasCard,
+  [GoalTypes.SAME_COLOR_4]: hasCard,
+  [GoalTypes.SAME_COLOR_5]: hasCard,
+  [GoalTypes.BASE_STEAL_RBI]: card => isBaseHit(card) || isSteal(card) || isRunBattedIn(card),
+  [GoalTypes.ON_BASE_STEAL_PICK_OFF]: card => isOnBase(card) || isSteal(card) || isPickOff(card),
+  [GoalTypes.FULL_HOUSE]: hasCard
+};
+
+/**
+ * Returns the size of the largest group of cards that share the same key.
+ * @param {Array.<string>} cards
+ * @param {function(string): string?} keyOf
+ * @returns {number}
+ */
+function largestGroup(cards, keyOf) {
+  const groups = groupBy(cards, keyOf);
+  return Object.keys(groups).reduce((max, key) => Math.max(max, groups[key].length), 0);
+}
+
+/**
+ * Returns the most predicates that distinct cards can satisfy at once.
+ * @param {Array.<string>} cards
+ * @param {Array.<function(string): boolean>} predicates
+ * @returns {number}
+ */
+function mostSatisfied(cards, predicates) {
+  let most = 0;
+  for (let mask = 1; mask < (1 << predicates.length); mask++) {
+    const subset = predicates.filter((predicate, i) => mask & (1 << i));
+    if (subset.length > most && matchEach(cards, subset) !== null) {
+      most = subset.length;
+    }
+  }
+
+  return most;
+}
+
+/**
+ * Sums the values of the cards.
+ * @param {Array.<string>} cards
+ * @param {function(string): number} valueOf
+ * @returns {number}
+ */
+function sumOf(cards, valueOf) {
+  return cards.reduce((sum, card) => sum + valueOf(card), 0);
+}
+
+/**
+ * Progress trackers for each goal. `current` counts how much of the goal the
+ * cards already show, and `describe` formats it for the goal bar.
+ * @type {Object.<string, {required: number, current: function(Array.<string>): number, describe: function(number, number): string}>}
+ */
+const GoalProgress = {
+  [GoalTypes.IDENTICAL_CARDS_3]: {
+    required: 3,
+    current: cards => largestGroup(cards, card => card),
+    describe: (current, required) => `${current}/${required} identical`
+  },
+  [GoalTypes.IDENTICAL_CARDS_4]: {
+    required: 4,
+    current: cards => largestGroup(cards, card => card),
+    describe: (current, required) => `${current}/${required} identical`
+  },
+  [GoalTypes.IDENTICAL_CARDS_5]: {
+    required: 5,
+    current: cards => largestGroup(cards, card => card),
+    describe: (current, required) => `${current}/${required} identical`
+  },
+  [GoalTypes.UNIQUE_OUT_CARDS_3]: {
+    required: 3,
+    current: cards => Object.keys(groupBy(cards, card => isOut(card) ? card : null)).length,
+    describe: (current, required) => `${current}/${required} different outs`
+  },
+  [GoalTypes.UNIQUE_OUT_CARDS_4]: {
+    required: 4,
+    current: cards => Object.keys(groupBy(cards, card => isOut(card) ? card : null)).length,
+    describe: (current, required) => `${current}/${required} different outs`
+  },
+  [GoalTypes.WALK_OR_HIT_BY_PITCH_3]: {
+    required: 3,
+    current: cards => cards.filter(isWalkOrHitByPitch).length,
+    describe: (current, required) => `${current}/${required} walks or HBP`
+  },
+  [GoalTypes.OUT_3]: {
+    required: 3,
+    current: cards => sumOf(cards, getOuts),
+    describe: (current, required) => `${current}/${required} outs`
+  },
+  [GoalTypes.BASES_RBI_3]: {
+    required: 3,
+    current: cards => sumOf(cards, getBases),
+    describe: (current, required) => `${current}/${required} bases`
+  },
+  [GoalTypes.EACH_COLOR_1]: {
+    required: colors.length,
+    current: cards => colors.filter(color => cards.some(card => getColor(card) === color)).length,
+    describe: (current, required) => `colors: ${current} of ${required}`
+  },
+  [GoalTypes.EACH_COLOR_2]: {
+    required: colors.length * 2,
+    current: cards => sumOf(colors, color => Math.min(cards.filter(card => getColor(card) === color).length, 2)),
+    describe: (current, required) => `colors: ${current} of ${required}`
+  },
+  [GoalTypes.SAME_COLOR_3]: {
+    required: 3,
+    current: cards => largestGroup(cards, getColor),
+    describe: (current, required) => `${current}/${required} same color`
+  },
+  [GoalTypes.SAME_COLOR_4]: {
+    required: 4,
+    current: cards => largestGroup(cards, getColor),
+    describe: (current, required) => `${current}/${required} same color`
+  },
+  [GoalTypes.SAME_COLOR_5]: {
+    required: 5,
+    current: cards => largestGroup(cards, getColor),
+    describe: (current, required) => `${current}/${required} same color`
+  },
+  [GoalTypes.BASE_STEAL_RBI]: {
+    required: 3,
+    current: cards => mostSatisfied(cards, [isBaseHit, isSteal, isRunBattedIn]),
+    describe: (current, required) => `${current}/${required} plays`
+  },
+  [GoalTypes.ON_BASE_STEAL_PICK_OFF]: {
+    required: 3,
+    current: cards => mostSatisfied(cards, [isOnBase, isSteal, isPickOff]),
+    describe: (current, required) => `${current}/${required} plays`
+  },
+  [GoalTypes.FULL_HOUSE]: {
+    required: 5,
+    current: cards => {
+      const groups = groupBy(cards, card => card);
+      const sizes = Object.keys(groups)
+        .map(event => groups[event].length)
+        .sort((a, b) => b - a);
+      return Math.min(sizes[0] || 0, 3) + Math.min(sizes[1] || 0, 2);
+    },
+    describe: (current, required) => `${current}/${required} full house`
+  }
+};
+
+/**
+ * Evaluates a set of cards against a goal.
+ * @param {string} goal
+ * @param {Array.<string>} cards Playbook events of the cards.
+ * @returns {{ goal: string, isMatch: boolean, cardIndices: Array.<number>, score: number }}
+ */
+function evaluateGoal(goal, cards) {
+  const matcher = GoalMatchers[goal];
+  const cardIndices = matcher !== undefined ? matcher(cards) : null;
+  const isMatch = cardIndices !== null;
+
+  return {
+    goal,
+    isMatch,
+    cardIndices: isMatch ? cardIndices : [],
+    score: isMatch ? GoalTypesMetadata[goal].score : 0
+  };
+}
+
+/**
+ * Lists every goal that a set of cards currently satisfies.
+ * @param {Array.<string>} cards Playbook events of the cards.
+ * @returns {Array.<{ goal: string, isMatch: boolean, cardIndices: Array.<number>, score: number }>}
+ */
+function findSatisfiedGoals(cards) {
+  return Object.keys(GoalTypesMetadata)
+    .map(goal => evaluateGoal(goal, cards))
+    .filter(result => result.isMatch);
+}
+
+/**
+ * Measures how close a set of cards is to satisfying a goal.
+ * @param {string} goal
+ * @param {Array.<string>} cards Playbook events of the cards.
+ * @returns {{ current: number, required: number, label: string, isAchievable: boolean }}
+ */
+function getGoalProgress(goal, cards) {
+  const progress = GoalProgress[goal];
+  if (progress === undefined) {
+    return { current: 0, required: 0, label: '', isAchievable: false };
+  }
+
+  const current = Math.min(progress.current(cards), progress.required);
+  return {
+    current,
+    required: progress.required,
+    label: progress.describe(current, progress.required),
+    isAchievable: evaluateGoal(goal, cards).isMatch
+  };
+}
+
+/**
+ * Lists every goal that a card can contribute to.
+ * @param {string} card Playbook event of the card.
+ * @returns {Array.<string>}
+ */
+function getGoalsForCard(card) {
+  return Object.keys(GoalTypesMetadata)
+    .filter(goal => GoalContributors[goal](card));
+}
+
+/**
+ * Retrieves a goal by the ID the server uses for it.
+ * @param {number} id
+ * @returns {string}
+ */
+function getGoalByServerId(id) {
+  const goal = Object.keys(GoalTypesMetadata)
+    .find(goal => GoalTypesMetadata[goal].serverId === id);
+  return goal !== undefined ? goal : GoalTypes.UNKNOWN;
+}
+
+/**
+ * Returns a pseudo-random number in [0, 1) that is fully determined by the
+ * seed. The seed is hashed with FNV-1a and mixed with mulberry32.
+ * @param {string} seed
+ * @returns {number}
+ */
+function seededRandom(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  let t = (hash + 0x6d2b79f5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Picks one of the visible goals for a seed. Every client that uses the same
+ * seed gets the same goal.
+ * @param {string} seed
+ * @returns {string}
+ */
+function getSeededGoal(seed) {
+  const visibleGoals = Object.keys(GoalTypesMetadata)
+    .filter(goal => !GoalTypesMetadata[goal].isHidden)
+    .sort((a, b) => GoalTypesMetadata[a].serverId - GoalTypesMetadata[b].serverId);
+  return visibleGoals[Math.floor(seededRandom(seed) * visibleGoals.length)];
+}
+
+export default GoalTypes;
+export {
+  GoalTypesMetadata,
+  evaluateGoal,
+  findSatisfiedGoals,
+  getGoalProgress,
+  getGoalsForCard,
+  getGoalByServerId,
+  getSeededGoal
+};
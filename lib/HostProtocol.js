@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Version of the protocol spoken with the hosting application over
+ * postMessage(). Messages without a version predate versioning and are
+ * treated as version 1.
+ * @type {number}
+ */
+const HOST_PROTOCOL_VERSION = 1;
+
+/**
+ * Actions the hosting application can send. Messages look like
+ * {version, id, action, payload}, where id is optional and echoed back in
+ * the reply.
+ *  - RESTORE_GAME_STATE: payload is the saved state, as a JSON string.
+ *  - HANDLE_MESSAGE: payload is a server message, {event, data}.
+ * @enum {string}
+ */
+const HostActions = {
+  RESTORE_GAME_STATE: 'RESTORE_GAME_STATE',
+  HANDLE_MESSAGE: 'HANDLE_MESSAGE'
+};
+
+/**
+ * Events sent back to the hosting application. Every event carries the
+ * protocol version.
+ *  - ready: the scene has loaded and listens for messages.
+ *  - applied: a message was applied. Carries its id and action.
+ *  - error: a message was refused or failed to apply. Carries its id and
+ *    action, when known, and the reason.
+ *  - stateSaved: the scene handed its new state to notifyGameState().
+ * @enum {string}
+ */
+const HostEvents = {
+  READY: 'ready',
+  APPLIED: 'applied',
+  ERROR: 'error',
+  STATE_SAVED: 'stateSaved'
+};
+
+/**
+ * Checks a message from the hosting application against the protocol.
+ * @param {*} message
+ * @returns {string?} why the message is invalid, or null if it is valid
+ */
+function validateHostMessage(message) {
+  if (typeof message !== 'object' || message === null) {
+    return 'Message is not an object';
+  }
+
+  const version = message.version !== undefined ? message.version : 1;
+  if (version !== HOST_PROTOCOL_VERSION) {
+    return `Unsupported protocol version ${version}`;
+  }
+
+  if (message.id !== undefined && typeof message.id !== 'string') {
+    return 'Message id is not a string';
+  }
+
+  switch (message.action) {
+    case HostActions.RESTORE_GAME_STATE: {
+      if (typeof message.payload !== 'string') {
+        return 'Saved state is not a string';
+      }
+
+      let state;
+      try {
+        state = JSON.parse(message.payload);
+      } catch (e) {
+        return `Saved state is not valid JSON: ${e.message}`;
+      }
+
+      if (typeof state !== 'object' || state === null) {
+        return 'Saved state is not an object';
+      }
+      return null;
+    }
+    case HostActions.HANDLE_MESSAGE: {
+      const payload = message.payload;
+      if (typeof payload !== 'object' || payload === null || typeof payload.event !== 'string') {
+        return 'Server message has no event';
+      }
+      return null;
+    }
+    default:
+      return `Unknown action ${message.action}`;
+  }
+}
+
+/**
+ * Returns whether a postMessage() event comes from the hosting application.
+ * The host posts into the page itself, so the event has the page's origin.
+ * Pages loaded from files have an opaque origin, which shows up as "null".
+ * @param {MessageEvent} e
+ * @returns {bool}
+ */
+function isTrustedHostOrigin(e) {
+  const location = global.location;
+  return e.origin === location.origin ||
+    (location.protocol === 'file:' && e.origin === 'null');
+}
+
+export {
+  HOST_PROTOCOL_VERSION,
+  HostActions,
+  HostEvents,
+  validateHostMessage,
+  isTrustedHostOrigin
+};
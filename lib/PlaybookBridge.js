@@ -0,0 +1,288 @@
+'use strict';
+import EventEmitter from 'eventemitter3';
+import {
+  HOST_PROTOCOL_VERSION,
+  HostActions,
+  HostEvents,
+  validateHostMessage,
+  isTrustedHostOrigin
+} from './HostProtocol';
+
+/**
+ * Bridge to the hosting application. Scenes talk to the host only through
+ * this interface, so they work the same inside the Android app and in a
+ * desktop browser.
+ *
+ * Besides the methods below, the bridge emits:
+ *  - EVENT_RESTORE_STATE (stateJSON): the host wants a saved state restored.
+ *  - EVENT_MESSAGE (message): the host relays a server message.
+ */
+class PlaybookBridge extends EventEmitter {
+  constructor() {
+    super();
+    this.EVENT_RESTORE_STATE = 'restoreState';
+    this.EVENT_MESSAGE = 'message';
+
+    /**
+     * Why messages from the hosting application are refused, or null while
+     * they are taken.
+     * @type {string?}
+     */
+    this.refusalReason = null;
+  }
+
+  /**
+   * Refuses every message from the hosting application from now on, e.g.
+   * while a recorded game is replayed. The host is told why.
+   * @param {string} reason
+   */
+  refuseHostMessages(reason) {
+    this.refusalReason = reason;
+  }
+
+  /**
+   * Returns the URL of the WebSocket server.
+   * @returns {string}
+   */
+  getAPIUrl() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Returns the URL of the Section API server.
+   * @returns {string}
+   */
+  getSectionAPIUrl() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Returns the ID of the current player.
+   * @returns {string}
+   */
+  getPlayerID() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Returns the rules payload supplied by the hosting application, if any.
+   * @returns {string?}
+   */
+  getRules() {
+    return null;
+  }
+
+  /**
+   * Notifies the hosting application of the new state of the game, so that
+   * it can be saved.
+   * @param {string} stateJSON
+   */
+  notifyGameState(stateJSON) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Notifies the hosting application that we have finished loading. The
+   * host answers by restoring the saved state, if there is one.
+   */
+  notifyLoaded() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Notifies the hosting application of an event in the scene.
+   * @param {string} event
+   * @param {*} data
+   */
+  notifyEvent(event, data) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Bridge backed by the object supplied via addJavaScriptInterface() on the
+ * Java side of the code. The host sends messages back with postMessage(),
+ * following the protocol in HostProtocol, and hears back through
+ * notifyEvent() whether each message was applied.
+ */
+class NativeBridge extends PlaybookBridge {
+  /**
+   * @param {Object.<string, function>} native
+   */
+  constructor(native) {
+    super();
+
+    /** @type {Object.<string, function>} */
+    this.native = native;
+
+    // Receive messages from the hosting application.
+    global.addEventListener('message', e => this._handleHostMessage(e));
+  }
+
+  /**
+   * Validates and applies a message from the hosting application, and tells
+   * the host how it went.
+   * @param {MessageEvent} e
+   */
+  _handleHostMessage(e) {
+    if (!isTrustedHostOrigin(e)) {
+      console.warn(`Ignoring message from untrusted origin ${e.origin}`);
+      return;
+    }
+
+    const message = e.data;
+    const error = validateHostMessage(message);
+    const id = message && typeof message.id === 'string' ? message.id : null;
+    const action = message && typeof message.action === 'string' ? message.action : null;
+    if (error !== null) {
+      console.warn('Invalid message from hosting application: ', error);
+      this._reply(HostEvents.ERROR, { id: id, action: action, reason: error });
+      return;
+    }
+
+    if (this.refusalReason !== null) {
+      console.warn('Refusing message from hosting application: ', this.refusalReason);
+      this._reply(HostEvents.ERROR, { id: id, action: action, reason: this.refusalReason });
+      return;
+    }
+
+    try {
+      switch (message.action) {
+        case HostActions.RESTORE_GAME_STATE:
+          console.log('Restoring state from hosting application: ');
+          this.emit(this.EVENT_RESTORE_STATE, message.payload);
+          break;
+        case HostActions.HANDLE_MESSAGE:
+          console.log('Handling message from hosting application: ');
+          this.emit(this.EVENT_MESSAGE, message.payload);
+          break;
+      }
+    } catch (err) {
+      console.error('Failed to apply message from hosting application: ', err);
+      this._reply(HostEvents.ERROR, { id: id, action: action, reason: err.message });
+      return;
+    }
+
+    this._reply(HostEvents.APPLIED, { id: id, action: action });
+  }
+
+  /**
+   * Sends an event of the host protocol to the hosting application.
+   * @param {string} event
+   * @param {Object} data
+   */
+  _reply(event, data = {}) {
+    this.notifyEvent(event, Object.assign({ version: HOST_PROTOCOL_VERSION }, data));
+  }
+
+  getAPIUrl() {
+    return this.native.getAPIUrl();
+  }
+
+  getSectionAPIUrl() {
+    return this.native.getSectionAPIUrl();
+  }
+
+  getPlayerID() {
+    return this.native.getPlayerID();
+  }
+
+  getRules() {
+    // Older hosts do not supply rules.
+    return typeof this.native.getRules === 'function' ? this.native.getRules() : null;
+  }
+
+  notifyGameState(stateJSON) {
+    this.native.notifyGameState(stateJSON);
+    this._reply(HostEvents.STATE_SAVED);
+  }
+
+  notifyLoaded() {
+    // The host may restore the state as soon as it hears from us, so let it
+    // know first that we are listening.
+    this._reply(HostEvents.READY);
+    this.native.notifyLoaded();
+  }
+
+  notifyEvent(event, data) {
+    // Older hosts do not listen for events.
+    if (typeof this.native.notifyEvent === 'function') {
+      this.native.notifyEvent(event, JSON.stringify(data));
+    }
+  }
+}
+
+/**
+ * Bridge for running outside the Android app. It talks to servers on
+ * localhost and keeps the game state in local storage.
+ */
+class MockBridge extends PlaybookBridge {
+  /**
+   * @param {string} storageKey Key to save the game state under.
+   */
+  constructor(storageKey) {
+    super();
+
+    /** @type {string} */
+    this.storageKey = storageKey;
+  }
+
+  getAPIUrl() {
+    return 'ws://localhost:9001';
+  }
+
+  getSectionAPIUrl() {
+    return 'http://localhost:9002';
+  }
+
+  /**
+   * This is stubbed.
+   */
+  getPlayerID() {
+    return 1;
+  }
+
+  notifyGameState(stateJSON) {
+    console.log('Saving state: ', stateJSON);
+    localStorage.setItem(this.storageKey, stateJSON);
+  }
+
+  notifyLoaded() {
+    if (this.refusalReason !== null) {
+      console.log('Not loading state: ', this.refusalReason);
+      return;
+    }
+
+    const restoredState = localStorage.getItem(this.storageKey);
+    console.log('Loading state: ', restoredState);
+    if (restoredState != null) {
+      try {
+        this.emit(this.EVENT_RESTORE_STATE, restoredState);
+      } catch (err) {
+        console.warn('Discarding saved state that failed to restore: ', err);
+      }
+    }
+  }
+
+  notifyEvent(event, data) {
+    console.log(`Event ${event}: `, data);
+  }
+}
+
+/**
+ * Creates the bridge for a scene. The native bridge is supplied under a
+ * global name that differs per scene; in its absence, we mock one.
+ * @param {string} nativeName Global name of the native bridge.
+ * @param {string} storageKey Key for the mock bridge to save state under.
+ * @returns {PlaybookBridge}
+ */
+function createPlaybookBridge(nativeName, storageKey) {
+  if (global[nativeName]) {
+    return new NativeBridge(global[nativeName]);
+  }
+
+  return new MockBridge(storageKey);
+}
+
+export default createPlaybookBridge;
+export { PlaybookBridge };
@@ -28,42 +28,72 @@ const PlaybookEvents = {
   MOST_FIELDED_BY_INFIELDERS: 'MOST_FIELDED_BY_INFIELDERS',
   MOST_FIELDED_BY_CENTER: 'MOST_FIELDED_BY_CENTER',
   UNKNOWN: 'UNKNOWN',
+  GRAND_SLAM: 'GRAND_SLAM',
+  FIELDERS_CHOICE: 'FIELDERS_CHOICE',
+  LONG_OUT: 'LONG_OUT',
+  UNOPPOSED_STRIKEOUT: 'UNOPPOSED_STRIKEOUT',
 
   /**
-   * Retrives a Playbook event by its serialized ID.
+   * Retrieves a Playbook event by its wire ID, using the negotiated protocol
+   * version. Unknown IDs map to UNKNOWN.
    * @param {number} id
    * @returns {string}
    */
   getById: function(id) {
-    const events = [
-      PlaybookEvents.NO_RUNS,
-      PlaybookEvents.RUN_SCORED,
-      PlaybookEvents.FLY_OUT,
-      PlaybookEvents.TRIPLE_PLAY,
-      PlaybookEvents.DOUBLE_PLAY,
-      PlaybookEvents.GROUND_OUT,
-      PlaybookEvents.STEAL,
-      PlaybookEvents.PICK_OFF,
-      PlaybookEvents.WALK,
-      PlaybookEvents.BLOCKED_RUN,
-      PlaybookEvents.STRIKEOUT,
-      PlaybookEvents.HIT_BY_PITCH,
-      PlaybookEvents.HOME_RUN,
-      PlaybookEvents.PITCH_COUNT_16,
-      PlaybookEvents.PITCH_COUNT_17,
-      PlaybookEvents.SINGLE,
-      PlaybookEvents.DOUBLE,
-      PlaybookEvents.TRIPLE,
-      PlaybookEvents.BATTER_COUNT_4,
-      PlaybookEvents.BATTER_COUNT_5,
-      PlaybookEvents.MOST_FIELDED_BY_LEFT,
-      PlaybookEvents.MOST_FIELDED_BY_RIGHT,
-      PlaybookEvents.MOST_FIELDED_BY_INFIELDERS,
-      PlaybookEvents.MOST_FIELDED_BY_CENTER,
-      PlaybookEvents.UNKNOWN
-    ];
-
-    return events[id];
+    const event = WireEvents[protocolVersion][id];
+    if (event === undefined) {
+      console.warn(`Unknown event ID ${id} for protocol version ${protocolVersion}`);
+      return PlaybookEvents.UNKNOWN;
+    }
+
+    return event;
+  },
+
+  /**
+   * Returns the wire ID of a Playbook event, using the negotiated protocol
+   * version. Events that the protocol version does not know about are sent
+   * as UNKNOWN.
+   * @param {string} event
+   * @returns {number}
+   */
+  getId: function(event) {
+    const ids = WireIds[protocolVersion];
+    return ids[event] !== undefined ? ids[event] : ids[PlaybookEvents.UNKNOWN];
+  },
+
+  /**
+   * Returns the events that cannot happen in the same round as the given
+   * event.
+   * @param {string} event
+   * @returns {Array.<string>}
+   */
+  getExclusiveEvents: function(event) {
+    const group = ExclusiveGroups.find(group => group.indexOf(event) !== -1);
+    return group ? group.filter(other => other !== event) : [];
+  },
+
+  /**
+   * Returns the protocol version used to encode and decode events.
+   * @returns {number}
+   */
+  getProtocolVersion: function() {
+    return protocolVersion;
+  },
+
+  /**
+   * Sets the protocol version used to encode and decode events, as agreed
+   * with the server. Unsupported versions are ignored.
+   * @param {number} version
+   * @returns {bool} whether the version was accepted
+   */
+  setProtocolVersion: function(version) {
+    if (WireIds[version] === undefined) {
+      console.warn(`Unsupported protocol version ${version}, staying on ${protocolVersion}`);
+      return false;
+    }
+
+    protocolVersion = version;
+    return true;
   }
 };
 
@@ -93,7 +123,11 @@ const FriendlyNames = {
   [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 'Most Balls Fielded By: Right',
   [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 'Most Balls Fielded By: Infielders',
   [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 'Most Balls Fielded By: Center',
-  [PlaybookEvents.UNKNOWN]: 'UNKNOWN'
+  [PlaybookEvents.UNKNOWN]: 'UNKNOWN',
+  [PlaybookEvents.GRAND_SLAM]: 'Grand Slam',
+  [PlaybookEvents.FIELDERS_CHOICE]: 'Fielder\'s Choice',
+  [PlaybookEvents.LONG_OUT]: 'Long Out',
+  [PlaybookEvents.UNOPPOSED_STRIKEOUT]: 'Unopposed Strikeout'
 };
 
 /** @type {Object.<string, string>} */
@@ -122,7 +156,11 @@ const StringMap = {
   [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 'MostBallsFieldedByRight',
   [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 'MostBallsFieldedByInfielders',
   [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 'MostBallsFieldedByCenter',
-  [PlaybookEvents.UNKNOWN]: 'UNKNOWN'
+  [PlaybookEvents.UNKNOWN]: 'UNKNOWN',
+  [PlaybookEvents.GRAND_SLAM]: 'GrandSlam',
+  [PlaybookEvents.FIELDERS_CHOICE]: 'FieldersChoice',
+  [PlaybookEvents.LONG_OUT]: 'LongOut',
+  [PlaybookEvents.UNOPPOSED_STRIKEOUT]: 'UnopposedStrikeout'
 };
 
 /** @type {Object.<string, string>} */
@@ -151,8 +189,374 @@ const Teams = {
   [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 'NONE',
   [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 'NONE',
   [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 'NONE',
-  [PlaybookEvents.UNKNOWN]: 'NONE'
+  [PlaybookEvents.UNKNOWN]: 'NONE',
+  [PlaybookEvents.GRAND_SLAM]: 'BATTING',
+  [PlaybookEvents.FIELDERS_CHOICE]: 'FIELDING',
+  [PlaybookEvents.LONG_OUT]: 'FIELDING',
+  [PlaybookEvents.UNOPPOSED_STRIKEOUT]: 'FIELDING'
+};
+
+/**
+ * Colors of the cards. Batting cards are printed in red, fielding cards in
+ * blue.
+ * @enum {string}
+ */
+const CardColors = {
+  RED: 'RED',
+  BLUE: 'BLUE'
+};
+
+/**
+ * Attributes of each event, as shown on its card.
+ *  - outs: number of outs recorded.
+ *  - bases: number of bases the batting team advances.
+ *  - isBaseHit: whether the batter hit safely and stayed on base.
+ *  - isOnBase: whether the batter reached base and stayed there.
+ *  - runsBattedIn: number of runs batted in.
+ *  - color: color of the card, or null if the event does not have a card.
+ * @type {Object.<string, {outs: number, bases: number, isBaseHit: boolean, isOnBase: boolean, runsBattedIn: number, color: ?string}>}
+ */
+const Attributes = {
+  [PlaybookEvents.NO_RUNS]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.RUN_SCORED]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 1,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.FLY_OUT]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.TRIPLE_PLAY]: {
+    outs: 3,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.DOUBLE_PLAY]: {
+    outs: 2,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.GROUND_OUT]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.STEAL]: {
+    outs: 0,
+    bases: 1,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.PICK_OFF]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.WALK]: {
+    outs: 0,
+    bases: 1,
+    isBaseHit: false,
+    isOnBase: true,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.BLOCKED_RUN]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.STRIKEOUT]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.HIT_BY_PITCH]: {
+    outs: 0,
+    bases: 1,
+    isBaseHit: false,
+    isOnBase: true,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.HOME_RUN]: {
+    outs: 0,
+    bases: 4,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 1,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.PITCH_COUNT_16]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.PITCH_COUNT_17]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.SINGLE]: {
+    outs: 0,
+    bases: 1,
+    isBaseHit: true,
+    isOnBase: true,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.DOUBLE]: {
+    outs: 0,
+    bases: 2,
+    isBaseHit: true,
+    isOnBase: true,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.TRIPLE]: {
+    outs: 0,
+    bases: 3,
+    isBaseHit: true,
+    isOnBase: true,
+    runsBattedIn: 0,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.BATTER_COUNT_4]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.BATTER_COUNT_5]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.MOST_FIELDED_BY_LEFT]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.MOST_FIELDED_BY_CENTER]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.UNKNOWN]: {
+    outs: 0,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: null
+  },
+  [PlaybookEvents.GRAND_SLAM]: {
+    outs: 0,
+    bases: 4,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 4,
+    color: CardColors.RED
+  },
+  [PlaybookEvents.FIELDERS_CHOICE]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.LONG_OUT]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  },
+  [PlaybookEvents.UNOPPOSED_STRIKEOUT]: {
+    outs: 1,
+    bases: 0,
+    isBaseHit: false,
+    isOnBase: false,
+    runsBattedIn: 0,
+    color: CardColors.BLUE
+  }
 };
 
+/**
+ * Groups of events that rule each other out within a round. Predicting more
+ * than one event of a group only hedges the bet.
+ * @type {Array.<Array.<string>>}
+ */
+const ExclusiveGroups = [
+  [PlaybookEvents.NO_RUNS, PlaybookEvents.RUN_SCORED],
+  [PlaybookEvents.PITCH_COUNT_16, PlaybookEvents.PITCH_COUNT_17],
+  [PlaybookEvents.BATTER_COUNT_4, PlaybookEvents.BATTER_COUNT_5]
+];
+
+/**
+ * Wire IDs of the events in version 1 of the protocol.
+ * @type {Object.<string, number>}
+ */
+const WireIdsV1 = {
+  [PlaybookEvents.NO_RUNS]: 0,
+  [PlaybookEvents.RUN_SCORED]: 1,
+  [PlaybookEvents.FLY_OUT]: 2,
+  [PlaybookEvents.TRIPLE_PLAY]: 3,
+  [PlaybookEvents.DOUBLE_PLAY]: 4,
+  [PlaybookEvents.GROUND_OUT]: 5,
+  [PlaybookEvents.STEAL]: 6,
+  [PlaybookEvents.PICK_OFF]: 7,
+  [PlaybookEvents.WALK]: 8,
+  [PlaybookEvents.BLOCKED_RUN]: 9,
+  [PlaybookEvents.STRIKEOUT]: 10,
+  [PlaybookEvents.HIT_BY_PITCH]: 11,
+  [PlaybookEvents.HOME_RUN]: 12,
+  [PlaybookEvents.PITCH_COUNT_16]: 13,
+  [PlaybookEvents.PITCH_COUNT_17]: 14,
+  [PlaybookEvents.SINGLE]: 15,
+  [PlaybookEvents.DOUBLE]: 16,
+  [PlaybookEvents.TRIPLE]: 17,
+  [PlaybookEvents.BATTER_COUNT_4]: 18,
+  [PlaybookEvents.BATTER_COUNT_5]: 19,
+  [PlaybookEvents.MOST_FIELDED_BY_LEFT]: 20,
+  [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 21,
+  [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 22,
+  [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 23,
+  [PlaybookEvents.UNKNOWN]: 24
+};
+
+/**
+ * Wire IDs of the events, by protocol version. IDs must never be reused or
+ * renumbered within a version; add a new version instead.
+ * @type {Object.<number, Object.<string, number>>}
+ */
+const WireIds = {
+  1: WireIdsV1,
+  2: Object.assign({}, WireIdsV1, {
+    [PlaybookEvents.GRAND_SLAM]: 25,
+    [PlaybookEvents.FIELDERS_CHOICE]: 26,
+    [PlaybookEvents.LONG_OUT]: 27,
+    [PlaybookEvents.UNOPPOSED_STRIKEOUT]: 28
+  })
+};
+
+/**
+ * Events by wire ID, by protocol version.
+ * @type {Object.<number, Object.<number, string>>}
+ */
+const WireEvents = {};
+Object.keys(WireIds).forEach(version => {
+  WireEvents[version] = {};
+  Object.keys(WireIds[version]).forEach(event => {
+    WireEvents[version][WireIds[version][event]] = event;
+  });
+});
+
+/**
+ * Protocol versions this client understands, oldest first.
+ * @type {Array.<number>}
+ */
+const ProtocolVersions = Object.keys(WireIds).map(Number);
+
+/**
+ * Protocol version used until the server agrees on one. Servers that predate
+ * negotiation only send IDs from version 1, which every later version keeps.
+ * @type {number}
+ */
+let protocolVersion = ProtocolVersions[ProtocolVersions.length - 1];
+
+// Every event needs an entry in every table, otherwise lookups elsewhere
+// silently return undefined.
+(function checkTables() {
+  const tables = { FriendlyNames, StringMap, Teams, Attributes, WireIds: WireIds[protocolVersion] };
+  const events = Object.keys(PlaybookEvents)
+    .filter(key => typeof PlaybookEvents[key] === 'string')
+    .map(key => PlaybookEvents[key]);
+
+  Object.keys(tables).forEach(name => {
+    const missing = events.filter(event => tables[name][event] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`PlaybookEvents ${name} is missing: ${missing.join(', ')}`);
+    }
+  });
+})();
+
 export default PlaybookEvents;
-export { FriendlyNames, Teams, StringMap };
+export {
+  FriendlyNames,
+  Teams,
+  StringMap,
+  CardColors,
+  Attributes,
+  ExclusiveGroups,
+  ProtocolVersions
+};
@@ -0,0 +1,140 @@
+'use strict';
+import EventEmitter from 'eventemitter3';
+
+// Delay before the first reconnect attempt, doubled on every failed attempt.
+const RECONNECT_BASE_DELAY = 1000;
+
+// Upper bound on the delay between reconnect attempts.
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * @enum {string}
+ */
+const ConnectionStatuses = {
+  CONNECTING: 'CONNECTING',
+  CONNECTED: 'CONNECTED',
+  DISCONNECTED: 'DISCONNECTED'
+};
+
+/**
+ * WebSocket connection to the game server that reconnects by itself. Dropped
+ * connections are retried with exponential backoff, or straight away when
+ * the device comes back online. Messages are JSON objects of the form
+ * {event, data}.
+ */
+class PlaybookSocket extends EventEmitter {
+  /**
+   * Connects to the given URL.
+   * @param {string} url
+   */
+  constructor(url) {
+    super();
+    this.EVENT_OPEN = 'open';
+    this.EVENT_MESSAGE = 'message';
+    this.EVENT_STATUS_CHANGED = 'statusChanged';
+
+    /** @type {string} */
+    this.url = url;
+
+    /** @type {WebSocket?} */
+    this.socket = null;
+
+    /** @type {string} */
+    this.status = ConnectionStatuses.DISCONNECTED;
+
+    /**
+     * Number of failed attempts since the last successful connection.
+     * @type {number}
+     */
+    this.attempts = 0;
+
+    /** @type {bool} */
+    this.hasConnected = false;
+
+    /** @type {number?} */
+    this.reconnectTimeout = null;
+
+    global.addEventListener('online', () => {
+      if (this.status === ConnectionStatuses.DISCONNECTED) {
+        this.connect();
+      }
+    });
+
+    this.connect();
+  }
+
+  /**
+   * Opens a new connection, cancelling any pending reconnect.
+   */
+  connect() {
+    if (this.reconnectTimeout !== null) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    this._setStatus(ConnectionStatuses.CONNECTING);
+    this.socket = new WebSocket(this.url);
+
+    this.socket.addEventListener('open', () => {
+      const isReconnect = this.hasConnected;
+      this.attempts = 0;
+      this.hasConnected = true;
+      this._setStatus(ConnectionStatuses.CONNECTED);
+      this.emit(this.EVENT_OPEN, isReconnect);
+    });
+
+    this.socket.addEventListener('message', message => {
+      this.emit(this.EVENT_MESSAGE, JSON.parse(message.data));
+    });
+
+    // An error is always followed by a close, which does the reconnecting.
+    this.socket.addEventListener('error', () => {
+      console.warn(`Connection to ${this.url} failed`);
+    });
+
+    this.socket.addEventListener('close', () => {
+      this.socket = null;
+      this._setStatus(ConnectionStatuses.DISCONNECTED);
+      this._scheduleReconnect();
+    });
+  }
+
+  /**
+   * Sends a message to the server. Messages sent while disconnected are
+   * dropped.
+   * @param {string} event
+   * @param {*} data
+   * @returns {bool} whether the message was sent
+   */
+  send(event, data) {
+    if (this.status !== ConnectionStatuses.CONNECTED) {
+      console.warn(`Not connected, dropping ${event}`);
+      return false;
+    }
+
+    this.socket.send(JSON.stringify({ event: event, data: data }));
+    return true;
+  }
+
+  _scheduleReconnect() {
+    const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, this.attempts), RECONNECT_MAX_DELAY);
+    this.attempts++;
+    console.log(`Reconnecting to ${this.url} in ${delay} ms`);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * @param {string} status
+   */
+  _setStatus(status) {
+    const oldStatus = this.status;
+    this.status = status;
+    this.emit(this.EVENT_STATUS_CHANGED, status, oldStatus);
+  }
+}
+
+export default PlaybookSocket;
+export { ConnectionStatuses };
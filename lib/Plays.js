@@ -0,0 +1,87 @@
+'use strict';
+import PlaybookEvents from './PlaybookEvents';
+
+/**
+ * Number of applied play IDs to remember. Repeats only happen around
+ * reconnects, so only the most recent plays need to be remembered.
+ * @type {number}
+ */
+const MAX_APPLIED_PLAY_IDS = 200;
+
+/**
+ * Parses the payload of a server:playsCreated message. Each play is either
+ * the wire ID of its event, as sent by servers that predate play IDs, or an
+ * object with the play ID (or sequence number) and the wire ID of its event.
+ * Plays without a play ID, in either form, cannot be told apart, so they
+ * have a null ID. Plays in neither form are skipped.
+ * @param {Array.<number|{id: (number|string), event: number}>} data
+ * @returns {Array.<{id: ?string, event: string}>}
+ */
+function parsePlays(data) {
+  if (!Array.isArray(data)) {
+    console.warn('Ignoring plays that are not a list: ', data);
+    return [];
+  }
+
+  return data
+    .filter(play => {
+      if (typeof play !== 'number' && (typeof play !== 'object' || play === null)) {
+        console.warn('Ignoring invalid play: ', play);
+        return false;
+      }
+
+      return true;
+    })
+    .map(play => {
+      if (typeof play === 'number') {
+        return { id: null, event: PlaybookEvents.getById(play) };
+      }
+
+      const id = play.id !== undefined && play.id !== null ? String(play.id) : null;
+      return { id: id, event: PlaybookEvents.getById(play.event) };
+    });
+}
+
+/**
+ * Returns the plays that have not been applied yet, including repeats within
+ * the same payload.
+ * @param {Array.<{id: ?string, event: string}>} plays
+ * @param {Array.<string>} appliedIds
+ * @returns {Array.<{id: ?string, event: string}>}
+ */
+function filterUnappliedPlays(plays, appliedIds) {
+  const seenIds = new Set(appliedIds);
+  return plays.filter(play => {
+    if (play.id === null) {
+      return true;
+    }
+
+    if (seenIds.has(play.id)) {
+      console.log(`Ignoring play ${play.id}, already applied`);
+      return false;
+    }
+
+    seenIds.add(play.id);
+    return true;
+  });
+}
+
+/**
+ * Returns the applied play IDs with the IDs of the given plays added, keeping
+ * only the most recent ones.
+ * @param {Array.<string>} appliedIds
+ * @param {Array.<{id: ?string, event: string}>} plays
+ * @returns {Array.<string>}
+ */
+function rememberPlays(appliedIds, plays) {
+  const ids = plays
+    .filter(play => play.id !== null)
+    .map(play => play.id);
+  return appliedIds.concat(ids).slice(-MAX_APPLIED_PLAY_IDS);
+}
+
+export {
+  parsePlays,
+  filterUnappliedPlays,
+  rememberPlays
+};
@@ -0,0 +1,767 @@
+'use strict';
+import EventEmitter from 'eventemitter3';
+
+import PlaybookEvents from './PlaybookEvents';
+import { filterUnappliedPlays, rememberPlays } from './Plays';
+
+/**
+ * Stages of an inning. Fans build their prediction in INITIAL and CONTINUE,
+ * and confirm it to reach CONFIRMED. The server then locks predictions while
+ * the inning is in progress, resolves them once it ends, and finally shows
+ * the results until the field is cleared for the next inning.
+ * @enum {string}
+ */
+const GameStages = {
+  INITIAL: 'INITIAL',
+  CONTINUE: 'CONTINUE',
+  CONFIRMED: 'CONFIRMED',
+  LOCKED: 'LOCKED',
+  RESOLVING: 'RESOLVING',
+  RESULTS: 'RESULTS'
+};
+
+/**
+ * Status of the confirmed prediction with the Section API.
+ *  - NONE: not submitted.
+ *  - PENDING: submitted, waiting for the server.
+ *  - ACCEPTED: acknowledged by the server.
+ *  - REJECTED: refused by the server.
+ *  - FAILED: the server could not be reached.
+ * @enum {string}
+ */
+const SubmissionStatuses = {
+  NONE: 'NONE',
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Returns whether the fan can still change their prediction in a stage.
+ * @param {string} stage
+ * @returns {bool}
+ */
+function isPredictionOpen(stage) {
+  return stage === GameStages.INITIAL || stage === GameStages.CONTINUE;
+}
+
+/**
+ * Returns whether plays score against the prediction in a stage. Plays that
+ * arrive while resolving still belong to the inning that just ended.
+ * @param {string} stage
+ * @returns {bool}
+ */
+function isPredictionScoring(stage) {
+  return stage === GameStages.CONFIRMED ||
+    stage === GameStages.LOCKED ||
+    stage === GameStages.RESOLVING;
+}
+
+/**
+ * Events that have an area on the field, and so can be predicted.
+ * @type {Array.<string>}
+ */
+const PredictableEvents = [
+  PlaybookEvents.HOME_RUN,
+  PlaybookEvents.TRIPLE,
+  PlaybookEvents.DOUBLE,
+  PlaybookEvents.SINGLE,
+  PlaybookEvents.STEAL,
+  PlaybookEvents.MOST_FIELDED_BY_INFIELDERS,
+  PlaybookEvents.MOST_FIELDED_BY_RIGHT,
+  PlaybookEvents.MOST_FIELDED_BY_CENTER,
+  PlaybookEvents.MOST_FIELDED_BY_LEFT,
+  PlaybookEvents.NO_RUNS,
+  PlaybookEvents.RUN_SCORED,
+  PlaybookEvents.FLY_OUT,
+  PlaybookEvents.GROUND_OUT,
+  PlaybookEvents.BATTER_COUNT_5,
+  PlaybookEvents.BATTER_COUNT_4,
+  PlaybookEvents.PITCH_COUNT_17,
+  PlaybookEvents.PITCH_COUNT_16,
+  PlaybookEvents.STRIKEOUT
+];
+
+const DefaultScoreValues = {
+  [PlaybookEvents.NO_RUNS]: 4,
+  [PlaybookEvents.RUN_SCORED]: 4,
+  [PlaybookEvents.FLY_OUT]: 2,
+  [PlaybookEvents.TRIPLE_PLAY]: 1400,
+  [PlaybookEvents.DOUBLE_PLAY]: 20,
+  [PlaybookEvents.GROUND_OUT]: 2,
+  [PlaybookEvents.STEAL]: 5,
+  [PlaybookEvents.PICK_OFF]: 7,
+  [PlaybookEvents.WALK]: 3,
+  [PlaybookEvents.BLOCKED_RUN]: 10,
+  [PlaybookEvents.STRIKEOUT]: 2,
+  [PlaybookEvents.HIT_BY_PITCH]: 2,
+  [PlaybookEvents.HOME_RUN]: 10,
+  [PlaybookEvents.PITCH_COUNT_16]: 2,
+  [PlaybookEvents.PITCH_COUNT_17]: 2,
+  [PlaybookEvents.SINGLE]: 3,
+  [PlaybookEvents.DOUBLE]: 5,
+  [PlaybookEvents.TRIPLE]: 20,
+  [PlaybookEvents.BATTER_COUNT_4]: 2,
+  [PlaybookEvents.BATTER_COUNT_5]: 2,
+  [PlaybookEvents.MOST_FIELDED_BY_LEFT]: 2,
+  [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 2,
+  [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 2,
+  [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 2,
+  [PlaybookEvents.GRAND_SLAM]: 50,
+  [PlaybookEvents.FIELDERS_CHOICE]: 5,
+  [PlaybookEvents.LONG_OUT]: 3,
+  [PlaybookEvents.UNOPPOSED_STRIKEOUT]: 5
+};
+
+/**
+ * How to handle a prediction on one side of an exclusive group while there
+ * are balls on the other side.
+ *  - BLOCK: refuse the prediction.
+ *  - MOVE: move the balls from the other side over to the new one.
+ * @enum {string}
+ */
+const ExclusiveModes = {
+  BLOCK: 'BLOCK',
+  MOVE: 'MOVE'
+};
+
+/**
+ * Rules that apply until the server or the hosting application supplies its
+ * own. Rules consist of a version, the number of balls per round, the points
+ * awarded for each event and how exclusive groups are enforced.
+ */
+const DefaultRules = {
+  version: 0,
+  ballCount: 5,
+  scoreValues: DefaultScoreValues,
+  exclusiveMode: ExclusiveModes.BLOCK
+};
+
+// Ball count sprites only exist for up to this many balls in an area.
+const MAX_BALL_COUNT = 5;
+
+/**
+ * Parses a rules payload from the server or the hosting application. Events
+ * without a point value keep their default one.
+ * @param {Object} data
+ * @param {number} data.version
+ * @param {number} data.ballCount
+ * @param {Array.<{id: number, points: number}>} data.scoreValues
+ * @param {string} data.exclusiveMode
+ * @returns {Object}
+ */
+function parseRules(data) {
+  const scoreValues = Object.assign({}, DefaultScoreValues);
+  (data.scoreValues || []).forEach(entry => {
+    scoreValues[PlaybookEvents.getById(entry.id)] = entry.points;
+  });
+
+  let ballCount = data.ballCount !== undefined ? data.ballCount : DefaultRules.ballCount;
+  if (!Number.isInteger(ballCount)) {
+    console.warn(`Unsupported ball count ${ballCount}, using ${DefaultRules.ballCount}`);
+    ballCount = DefaultRules.ballCount;
+  } else if (ballCount < 1 || ballCount > MAX_BALL_COUNT) {
+    console.warn(`Unsupported ball count ${ballCount}, clamping to 1-${MAX_BALL_COUNT}`);
+    ballCount = Math.max(1, Math.min(ballCount, MAX_BALL_COUNT));
+  }
+
+  let exclusiveMode = data.exclusiveMode !== undefined ? data.exclusiveMode : DefaultRules.exclusiveMode;
+  if (ExclusiveModes[exclusiveMode] === undefined) {
+    console.warn(`Unsupported exclusive mode ${exclusiveMode}, using ${DefaultRules.exclusiveMode}`);
+    exclusiveMode = DefaultRules.exclusiveMode;
+  }
+
+  return {
+    version: data.version,
+    ballCount: ballCount,
+    scoreValues: scoreValues,
+    exclusiveMode: exclusiveMode
+  };
+}
+
+/**
+ * Parses rules saved with the rest of the state. Saved score values are keyed
+ * by event rather than by wire ID, but are otherwise checked the same way as
+ * rules from the server.
+ * @param {Object} data
+ * @returns {Object}
+ */
+function parseSavedRules(data) {
+  if (data === null || typeof data !== 'object') {
+    throw new Error('Saved rules are not an object');
+  }
+
+  const rules = parseRules(Object.assign({}, data, { scoreValues: [] }));
+  const scoreValues = data.scoreValues || {};
+  Object.keys(scoreValues)
+    .filter(event => DefaultScoreValues[event] !== undefined && typeof scoreValues[event] === 'number')
+    .forEach(event => rules.scoreValues[event] = scoreValues[event]);
+  return rules;
+}
+
+/**
+ * The prediction game, without any of its presentation. Balls are known by
+ * their index, and areas of the field by the event they stand for.
+ *
+ * The view subscribes to the events below, and asks the model to make
+ * changes on behalf of the fan and the server:
+ *  - EVENT_BALLS_CHANGED (targets): balls were added, removed or restored.
+ *  - EVENT_BALL_MOVED (index, target): a ball was placed on the field, or
+ *    taken off it with a null target.
+ *  - EVENT_PREDICTION_BLOCKED (event): a prediction was refused because of
+ *    balls on the other side of its exclusive group.
+ *  - EVENT_CHANGED: anything that is saved has changed.
+ * The remaining events are emitted with the new and the old value.
+ */
+class PredictionModel {
+  constructor() {
+    this.EVENT_STAGE_CHANGED = 'stageChanged';
+    this.EVENT_PREDICTION_COUNTS_CHANGED = 'predictionCountsChanged';
+    this.EVENT_SCORE_CHANGED = 'scoreChanged';
+    this.EVENT_ODDS_CHANGED = 'oddsChanged';
+    this.EVENT_RULES_CHANGED = 'rulesChanged';
+    this.EVENT_INNING_SCORES_CHANGED = 'inningScoresChanged';
+    this.EVENT_SUBMISSION_STATUS_CHANGED = 'submissionStatusChanged';
+    this.EVENT_APPLIED_PLAY_IDS_CHANGED = 'appliedPlayIdsChanged';
+    this.EVENT_BALLS_CHANGED = 'ballsChanged';
+    this.EVENT_BALL_MOVED = 'ballMoved';
+    this.EVENT_PREDICTION_BLOCKED = 'predictionBlocked';
+    this.EVENT_CHANGED = 'changed';
+
+    /** @type {Object.<string, number>} */
+    this._predictionCounts = {};
+
+    /** @type {string} */
+    this._stage = GameStages.INITIAL;
+
+    /**
+     * Event each ball is placed on, or null for balls still in the slot.
+     * @type {Array.<?string>}
+     */
+    this._targets = new Array(DefaultRules.ballCount).fill(null);
+
+    /** @type {number} */
+    this._score = 0;
+
+    /**
+     * Live probability of each event, as pushed by the server. These are not
+     * saved with the rest of the state.
+     * @type {Object.<string, number>}
+     */
+    this._odds = {};
+
+    /** @type {Object} */
+    this._rules = DefaultRules;
+
+    /**
+     * Rules received while predictions are confirmed wait for the next round.
+     * @type {Object?}
+     */
+    this.pendingRules = null;
+
+    /**
+     * Points earned by each predicted event during the current inning.
+     * @type {Object.<string, number>}
+     */
+    this._inningScores = {};
+
+    /** @type {string} */
+    this._submissionStatus = SubmissionStatuses.NONE;
+
+    /**
+     * IDs of the most recent plays that have been applied, so that repeats
+     * are not scored twice.
+     * @type {Array.<string>}
+     */
+    this._appliedPlayIds = [];
+
+    /** @type {EventEmitter} */
+    this.emitter = new EventEmitter();
+  }
+
+  /**
+   * @returns {string}
+   */
+  get stage() {
+    return this._stage;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set stage(value) {
+    const oldValue = this._stage;
+    this._stage = value;
+    this.emitter.emit(this.EVENT_STAGE_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * Number of balls on each event, derived from the targets.
+   * @returns {Object.<string, number>}
+   */
+  get predictionCounts() {
+    return this._predictionCounts;
+  }
+
+  /**
+   * @returns {Array.<?string>}
+   */
+  get targets() {
+    return this._targets;
+  }
+
+  /**
+   * @returns {number}
+   */
+  get score() {
+    return this._score;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set score(value) {
+    const oldValue = this._score;
+    this._score = value;
+    this.emitter.emit(this.EVENT_SCORE_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * @returns {Object.<string, number>}
+   */
+  get odds() {
+    return this._odds;
+  }
+
+  /**
+   * @param {Object.<string, number>} value
+   */
+  set odds(value) {
+    const oldValue = this._odds;
+    this._odds = value;
+    this.emitter.emit(this.EVENT_ODDS_CHANGED, value, oldValue);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  get rules() {
+    return this._rules;
+  }
+
+  /**
+   * @returns {Object.<string, number>}
+   */
+  get inningScores() {
+    return this._inningScores;
+  }
+
+  /**
+   * @param {Object.<string, number>} value
+   */
+  set inningScores(value) {
+    const oldValue = this._inningScores;
+    this._inningScores = value;
+    this.emitter.emit(this.EVENT_INNING_SCORES_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * @returns {string}
+   */
+  get submissionStatus() {
+    return this._submissionStatus;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set submissionStatus(value) {
+    const oldValue = this._submissionStatus;
+    this._submissionStatus = value;
+    this.emitter.emit(this.EVENT_SUBMISSION_STATUS_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * @returns {Array.<string>}
+   */
+  get appliedPlayIds() {
+    return this._appliedPlayIds;
+  }
+
+  /**
+   * @param {Array.<string>} value
+   */
+  set appliedPlayIds(value) {
+    const oldValue = this._appliedPlayIds;
+    this._appliedPlayIds = value;
+    this.emitter.emit(this.EVENT_APPLIED_PLAY_IDS_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * Places a ball on an event. In MOVE mode, balls on the other side of the
+   * exclusive group of the event follow it; in BLOCK mode, they keep the
+   * ball from being placed.
+   * @param {number} index
+   * @param {string} event
+   * @returns {bool} whether the ball was placed
+   */
+  predict(index, event) {
+    if (!isPredictionOpen(this._stage)) {
+      return false;
+    }
+
+    const excluded = PlaybookEvents.getExclusiveEvents(event);
+    const conflicts = this._targets
+      .map((target, i) => i)
+      .filter(i => i !== index && excluded.indexOf(this._targets[i]) !== -1);
+
+    if (conflicts.length > 0 && this._rules.exclusiveMode !== ExclusiveModes.MOVE) {
+      this.emitter.emit(this.EVENT_PREDICTION_BLOCKED, event);
+      return false;
+    }
+
+    conflicts.forEach(i => this._moveBall(i, event));
+    this._moveBall(index, event);
+    this._updatePredictions();
+    return true;
+  }
+
+  /**
+   * Takes a ball off the field.
+   * @param {number} index
+   * @returns {bool} whether the ball was taken off
+   */
+  undoPrediction(index) {
+    if (!isPredictionOpen(this._stage) || this._targets[index] === null) {
+      return false;
+    }
+
+    this._moveBall(index, null);
+    this._updatePredictions();
+    return true;
+  }
+
+  /**
+   * Confirms the prediction, once every ball has been placed.
+   * @returns {bool} whether the prediction was confirmed
+   */
+  confirm() {
+    if (this._stage !== GameStages.CONTINUE) {
+      return false;
+    }
+
+    this.stage = GameStages.CONFIRMED;
+    return true;
+  }
+
+  /**
+   * Records that the Section API did not take the confirmed prediction, and
+   * sends the fan back to confirm it again.
+   * @param {string} status REJECTED or FAILED.
+   */
+  failSubmission(status) {
+    this.submissionStatus = status;
+    if (this._stage === GameStages.CONFIRMED) {
+      this.stage = GameStages.CONTINUE;
+    }
+  }
+
+  /**
+   * Locks the prediction. Whatever is on the field at this point is the
+   * prediction for the inning, whether or not the fan confirmed it.
+   */
+  lock() {
+    if (isPredictionOpen(this._stage) || this._stage === GameStages.CONFIRMED) {
+      this.stage = GameStages.LOCKED;
+    }
+  }
+
+  /**
+   * Ends the inning. Plays may still trickle in while the server resolves it.
+   * Only a locked prediction is resolved; predictions that were never locked
+   * did not take part in the inning.
+   */
+  endInning() {
+    if (this._stage === GameStages.LOCKED) {
+      this.stage = GameStages.RESOLVING;
+    }
+  }
+
+  /**
+   * Resolves the inning that ended, showing the results.
+   */
+  resolveInning() {
+    if (this._stage === GameStages.RESOLVING) {
+      this.stage = GameStages.RESULTS;
+    }
+  }
+
+  /**
+   * Clears the field for the next round, applying any rules that arrived
+   * in the meantime.
+   */
+  clear() {
+    this._targets.forEach((target, i) => {
+      if (target !== null) {
+        this._moveBall(i, null);
+      }
+    });
+    this._updatePredictionCounts();
+
+    this.inningScores = {};
+    this.submissionStatus = SubmissionStatuses.NONE;
+    this.stage = GameStages.INITIAL;
+
+    if (this.pendingRules !== null) {
+      this.applyRules(this.pendingRules);
+      this.pendingRules = null;
+    }
+  }
+
+  /**
+   * Takes new rules from the server or the hosting application. Rules only
+   * change between rounds, so rules that arrive after predictions are
+   * confirmed take effect once the field is cleared.
+   * @param {Object} rules As returned by parseRules().
+   */
+  updateRules(rules) {
+    if (rules.version === this._rules.version) {
+      return;
+    }
+
+    if (isPredictionOpen(this._stage)) {
+      this.applyRules(rules);
+    } else {
+      this.pendingRules = rules;
+    }
+  }
+
+  /**
+   * Makes the given rules active, adding or removing balls to match.
+   * @param {Object} rules
+   */
+  applyRules(rules) {
+    const oldValue = this._rules;
+    this._rules = rules;
+    this.emitter.emit(this.EVENT_RULES_CHANGED, rules, oldValue);
+    this.setBallCount(rules.ballCount);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * Adds or removes balls so that there are exactly the given number of
+   * them. Predictions on removed balls are undone.
+   * @param {number} count
+   */
+  setBallCount(count) {
+    if (count === this._targets.length) {
+      return;
+    }
+
+    this._targets = this._targets
+      .slice(0, count)
+      .concat(new Array(Math.max(count - this._targets.length, 0)).fill(null));
+    this.emitter.emit(this.EVENT_BALLS_CHANGED, this._targets);
+
+    // Adding or removing balls may change whether all of them are placed.
+    this._updatePredictions();
+  }
+
+  /**
+   * Applies plays from the server. Plays that have already been applied are
+   * ignored, even those that arrived before the prediction was confirmed.
+   * Plays only score while the prediction is confirmed or locked.
+   * @param {Array.<{id: ?string, event: string}>} plays As returned by
+   *   parsePlays().
+   * @returns {Array.<{id: ?string, event: string, points: number, balls: Array.<number>}>}
+   *   The plays that scored, with the points for each and the balls on them.
+   */
+  applyPlays(plays) {
+    plays = filterUnappliedPlays(plays, this._appliedPlayIds);
+    if (plays.some(play => play.id !== null)) {
+      this.appliedPlayIds = rememberPlays(this._appliedPlayIds, plays);
+    }
+
+    if (!isPredictionScoring(this._stage)) {
+      return [];
+    }
+
+    const scored = [];
+    plays.forEach(({ id, event }) => {
+      const count = this._predictionCounts[event];
+      if (count === undefined) {
+        return;
+      }
+
+      const points = this._rules.scoreValues[event] * count;
+      this.score += points;
+      this.inningScores = Object.assign({}, this._inningScores, {
+        [event]: (this._inningScores[event] || 0) + points
+      });
+
+      scored.push({
+        id: id,
+        event: event,
+        points: points,
+        balls: this._targets
+          .map((target, i) => i)
+          .filter(i => this._targets[i] === event)
+      });
+    });
+
+    return scored;
+  }
+
+  /**
+   * Moves a ball, without updating the counts or the stage.
+   * @param {number} index
+   * @param {?string} target
+   */
+  _moveBall(index, target) {
+    this._targets[index] = target;
+    this.emitter.emit(this.EVENT_BALL_MOVED, index, target);
+  }
+
+  /**
+   * Brings the counts and the stage up to date with the targets. While the
+   * prediction is open, it can be confirmed once every ball is placed.
+   */
+  _updatePredictions() {
+    this._updatePredictionCounts();
+
+    if (isPredictionOpen(this._stage)) {
+      const isComplete = this._targets.every(target => target !== null);
+      const newStage = isComplete ? GameStages.CONTINUE : GameStages.INITIAL;
+      if (this._stage !== newStage) {
+        this.stage = newStage;
+      }
+    }
+  }
+
+  _updatePredictionCounts() {
+    const oldValue = this._predictionCounts;
+    const value = {};
+    this._targets
+      .filter(target => target !== null)
+      .forEach(target => value[target] = (value[target] || 0) + 1);
+
+    this._predictionCounts = value;
+    this.emitter.emit(this.EVENT_PREDICTION_COUNTS_CHANGED, value, oldValue);
+    this.emitter.emit(this.EVENT_CHANGED);
+  }
+
+  /**
+   * Returns the game state as JSON.
+   * @returns {string}
+   */
+  toJSON() {
+    const savedState = {
+      stage: this._stage,
+      score: this._score,
+      rules: this._rules,
+      inningScores: this._inningScores,
+      submissionStatus: this._submissionStatus,
+      appliedPlayIds: this._appliedPlayIds,
+      balls: this._targets.map(target => ({ selectedTarget: target }))
+    };
+
+    return JSON.stringify(savedState);
+  }
+
+  /**
+   * Restores the game state from JSON.
+   * @param {string} state
+   */
+  fromJSON(state) {
+    const restoredState = JSON.parse(state);
+    if (typeof restoredState !== 'object' || restoredState === null) {
+      throw new Error('Saved state is not an object');
+    }
+    if (!Array.isArray(restoredState.balls)) {
+      throw new Error('Saved state has no balls');
+    }
+
+    // Check everything before restoring anything, so that a saved state that
+    // is refused leaves the game as it was.
+    restoredState.balls.forEach(ball => {
+      if (typeof ball !== 'object' || ball === null) {
+        throw new Error('Saved ball is not an object');
+      }
+      if (ball.selectedTarget !== null && !PredictableEvents.includes(ball.selectedTarget)) {
+        throw new Error(`Saved ball is on unknown area ${ball.selectedTarget}`);
+      }
+    });
+    if (GameStages[restoredState.stage] === undefined) {
+      throw new Error(`Unknown saved stage ${restoredState.stage}`);
+    }
+    if (!Number.isFinite(restoredState.score)) {
+      throw new Error(`Saved score ${restoredState.score} is not a number`);
+    }
+    if (restoredState.inningScores !== undefined &&
+        (typeof restoredState.inningScores !== 'object' || restoredState.inningScores === null)) {
+      throw new Error('Saved inning scores are not an object');
+    }
+    if (restoredState.submissionStatus !== undefined &&
+        SubmissionStatuses[restoredState.submissionStatus] === undefined) {
+      throw new Error(`Unknown saved submission status ${restoredState.submissionStatus}`);
+    }
+    if (restoredState.appliedPlayIds !== undefined && !Array.isArray(restoredState.appliedPlayIds)) {
+      throw new Error('Saved play IDs are not a list');
+    }
+
+    // Rules from the server or the hosting application may have arrived
+    // before the saved state did.
+    const savedRules = restoredState.rules !== undefined ? parseSavedRules(restoredState.rules) : null;
+    const currentRules = this.pendingRules !== null ? this.pendingRules : this._rules;
+
+    // Restore the rules first, since they decide how many balls there are.
+    if (savedRules !== null) {
+      this.pendingRules = null;
+      this.applyRules(savedRules);
+    }
+
+    this._targets = this._targets.map((target, i) => {
+      const ball = restoredState.balls[i];
+      return ball !== undefined ? ball.selectedTarget : null;
+    });
+    this.emitter.emit(this.EVENT_BALLS_CHANGED, this._targets);
+    this._updatePredictionCounts();
+
+    if (restoredState.inningScores !== undefined) {
+      this.inningScores = restoredState.inningScores;
+    }
+    if (restoredState.submissionStatus !== undefined) {
+      this.submissionStatus = restoredState.submissionStatus;
+    }
+    if (restoredState.appliedPlayIds !== undefined) {
+      this.appliedPlayIds = restoredState.appliedPlayIds;
+    }
+
+    this.stage = restoredState.stage;
+    this.score = restoredState.score;
+
+    // Keep whichever rules are newer. Newer rules than the saved ones still
+    // wait for the next round if the restored prediction is confirmed.
+    if (savedRules !== null && currentRules.version > savedRules.version) {
+      this.updateRules(currentRules);
+    }
+  }
+}
+
+export default PredictionModel;
+export {
+  GameStages,
+  SubmissionStatuses,
+  ExclusiveModes,
+  DefaultRules,
+  PredictableEvents,
+  isPredictionOpen,
+  isPredictionScoring,
+  parseRules
+};
@@ -0,0 +1,156 @@
+'use strict';
+import ReplayPlayer from './ReplayPlayer';
+
+// Playback speeds offered in the overlay.
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Returns whether replay mode was asked for, with ?replay in the URL. A
+ * value, as in ?replay=/replays/game.json, names a log to load right away.
+ * @returns {bool}
+ */
+function isReplayRequested() {
+  return /[?&]replay(=|&|$)/.test(global.location.search);
+}
+
+/**
+ * Returns the URL of the log named in the URL, if any.
+ * @returns {string?}
+ */
+function getRequestedReplayUrl() {
+  const match = /[?&]replay=([^&]*)/.exec(global.location.search);
+  return match && match[1] ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Formats a position on the timeline as m:ss.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${('0' + seconds % 60).substr(-2)}`;
+}
+
+/**
+ * Creates an element with the given style.
+ * @param {string} tagName
+ * @param {Object.<string, string>} style
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, style = {}) {
+  const element = document.createElement(tagName);
+  Object.assign(element.style, style);
+  return element;
+}
+
+/**
+ * Shows the replay controls for a loaded log: play/pause, speed, and a
+ * timeline to scrub through.
+ * @param {HTMLElement} overlay
+ * @param {ReplayPlayer} player
+ */
+function showControls(overlay, player) {
+  overlay.innerHTML = '';
+
+  const playButton = createElement('button');
+  playButton.addEventListener('click', () => player.isPlaying ? player.pause() : player.play());
+  overlay.appendChild(playButton);
+
+  const speedSelect = createElement('select');
+  SPEEDS.forEach(speed => {
+    const option = createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}×`;
+    option.selected = speed === player.speed;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.addEventListener('change', () => player.setSpeed(Number(speedSelect.value)));
+  overlay.appendChild(speedSelect);
+
+  const timeline = createElement('input', { flex: '1' });
+  timeline.type = 'range';
+  timeline.min = 0;
+  timeline.max = player.duration;
+  timeline.addEventListener('input', () => player.seek(Number(timeline.value)));
+  overlay.appendChild(timeline);
+
+  const timeLabel = createElement('span');
+  overlay.appendChild(timeLabel);
+
+  const update = () => {
+    playButton.textContent = player.isPlaying ? 'Pause' : 'Play';
+    timeline.value = player.position;
+    timeLabel.textContent = `${formatTime(player.position)} / ${formatTime(player.duration)}`;
+  };
+  player.on(player.EVENT_UPDATE, update);
+  update();
+}
+
+/**
+ * Starts replay mode. Adds a developer overlay to the page that loads a
+ * recorded game log, from the URL or from a file, and plays it back through
+ * onMessage. While replaying, the scene should ignore the live server.
+ * @param {function(Object)} onMessage Handles a server message.
+ * @param {function()} onReset Puts the scene back to how it was before the
+ *   first message, for seeking backwards.
+ */
+function startReplayMode(onMessage, onReset) {
+  const overlay = createElement('div', {
+    position: 'fixed',
+    left: '0',
+    right: '0',
+    bottom: '0',
+    display: 'flex',
+    alignItems: 'center',
+    padding: '8px',
+    background: 'rgba(0, 0, 0, 0.75)',
+    color: '#ffffff',
+    font: '14px sans-serif',
+    zIndex: '1000'
+  });
+  document.body.appendChild(overlay);
+
+  const load = log => {
+    const player = new ReplayPlayer(log, onMessage, onReset);
+    showControls(overlay, player);
+  };
+
+  const replayUrl = getRequestedReplayUrl();
+  if (replayUrl !== null) {
+    overlay.textContent = `Loading ${replayUrl}…`;
+    const request = new XMLHttpRequest();
+    request.open('GET', replayUrl);
+    request.addEventListener('load', () => {
+      try {
+        load(JSON.parse(request.responseText));
+      } catch (e) {
+        overlay.textContent = `Could not read ${replayUrl}: ${e.message}`;
+      }
+    });
+    request.addEventListener('error', () => {
+      overlay.textContent = `Could not load ${replayUrl}`;
+    });
+    request.send();
+    return;
+  }
+
+  const fileInput = createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.addEventListener('change', () => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        load(JSON.parse(reader.result));
+      } catch (e) {
+        overlay.textContent = `Could not read ${fileInput.files[0].name}: ${e.message}`;
+      }
+    });
+    reader.readAsText(fileInput.files[0]);
+  });
+  overlay.textContent = 'Replay a recorded game: ';
+  overlay.appendChild(fileInput);
+}
+
+export { isReplayRequested, startReplayMode };
@@ -0,0 +1,158 @@
+'use strict';
+import EventEmitter from 'eventemitter3';
+
+// How often the timeline advances while playing, in milliseconds.
+const TICK_INTERVAL = 50;
+
+/**
+ * Plays a recorded game log back on a timeline. A log is a list of server
+ * messages with timestamps, either in milliseconds or as date strings:
+ *
+ *   [{"timestamp": 0, "event": "server:playsCreated", "data": [3]}, ...]
+ *
+ * Times are relative to the first message. Messages are handed to onMessage
+ * as {event, data} once the timeline reaches them. Since messages cannot be
+ * taken back, seeking backwards calls onReset and plays the log again from
+ * the start, up to the new position.
+ */
+class ReplayPlayer extends EventEmitter {
+  /**
+   * @param {Array.<{timestamp: (number|string), event: string, data: *}>} log
+   * @param {function(Object)} onMessage
+   * @param {function()} onReset
+   */
+  constructor(log, onMessage, onReset) {
+    super();
+    this.EVENT_UPDATE = 'update';
+
+    const times = log.map(entry => {
+      return typeof entry.timestamp === 'string' ? Date.parse(entry.timestamp) : entry.timestamp;
+    });
+    const startTime = Math.min(...times);
+
+    /** @type {Array.<{time: number, message: {event: string, data: *}}>} */
+    this.entries = log
+      .map((entry, i) => ({
+        time: times[i] - startTime,
+        message: { event: entry.event, data: entry.data }
+      }))
+      .sort((a, b) => a.time - b.time);
+
+    /** @type {function(Object)} */
+    this.onMessage = onMessage;
+
+    /** @type {function()} */
+    this.onReset = onReset;
+
+    /**
+     * Position on the timeline, in milliseconds.
+     * @type {number}
+     */
+    this.position = 0;
+
+    /**
+     * Index of the next message to deliver.
+     * @type {number}
+     */
+    this.index = 0;
+
+    /** @type {number} */
+    this.speed = 1;
+
+    /** @type {number?} */
+    this.interval = null;
+
+    /** @type {number} */
+    this.lastTickTime = 0;
+  }
+
+  /**
+   * Length of the timeline, in milliseconds.
+   * @returns {number}
+   */
+  get duration() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+  }
+
+  /**
+   * @returns {bool}
+   */
+  get isPlaying() {
+    return this.interval !== null;
+  }
+
+  play() {
+    if (this.isPlaying) {
+      return;
+    }
+
+    // Playing from the end starts over.
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+
+    this.lastTickTime = Date.now();
+    this.interval = setInterval(() => this._tick(), TICK_INTERVAL);
+    this.emit(this.EVENT_UPDATE);
+  }
+
+  pause() {
+    if (!this.isPlaying) {
+      return;
+    }
+
+    clearInterval(this.interval);
+    this.interval = null;
+    this.emit(this.EVENT_UPDATE);
+  }
+
+  /**
+   * @param {number} speed Multiple of real time.
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.emit(this.EVENT_UPDATE);
+  }
+
+  /**
+   * Moves to a position on the timeline, delivering every message up to it.
+   * @param {number} position
+   */
+  seek(position) {
+    position = Math.max(0, Math.min(position, this.duration));
+    if (position < this.position) {
+      this.onReset();
+      this.index = 0;
+    }
+
+    this.position = position;
+    this._deliver();
+    this.emit(this.EVENT_UPDATE);
+  }
+
+  _tick() {
+    const now = Date.now();
+    this.position = Math.min(this.position + (now - this.lastTickTime) * this.speed, this.duration);
+    this.lastTickTime = now;
+    this._deliver();
+
+    if (this.position >= this.duration) {
+      this.pause();
+    }
+    this.emit(this.EVENT_UPDATE);
+  }
+
+  /**
+   * Delivers the messages up to the current position.
+   */
+  _deliver() {
+    while (this.index < this.entries.length && this.entries[this.index].time <= this.position) {
+      const entry = this.entries[this.index];
+      this.index++;
+      console.log(`Replaying ${entry.message.event} at ${entry.time} ms`);
+      this.onMessage(entry.message);
+    }
+  }
+}
+
+export default ReplayPlayer;
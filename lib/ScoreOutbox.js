@@ -0,0 +1,166 @@
+'use strict';
+
+// Delay before the first retry, doubled on every failed attempt.
+const RETRY_BASE_DELAY = 1000;
+
+// Upper bound on the delay between retries.
+const RETRY_MAX_DELAY = 60000;
+
+// How long to wait for the server to answer a report before trying again.
+const REPORT_TIMEOUT = 10000;
+
+/**
+ * Outbox for score reports. Reports are kept in local storage until the
+ * server acknowledges them, so that points survive network blips and
+ * reloads. They are sent one at a time, in the order they were queued.
+ *
+ * Every report carries an idempotency key, sent as the Idempotency-Key
+ * header. The key stays the same across retries, so the server can tell a
+ * retry from a new report and count it only once.
+ */
+class ScoreOutbox {
+  /**
+   * @param {string} storageKey Key to save pending reports under.
+   * @param {function(): string} getUrl Returns the URL to post reports to.
+   */
+  constructor(storageKey, getUrl) {
+    /** @type {string} */
+    this.storageKey = storageKey;
+
+    /** @type {function(): string} */
+    this.getUrl = getUrl;
+
+    /** @type {Array.<{key: string, body: Object, attempts: number}>} */
+    this.reports = this._load();
+
+    /** @type {bool} */
+    this.isSending = false;
+
+    /** @type {number?} */
+    this.retryTimeout = null;
+
+    // Connectivity is back, so there is no point waiting for the backoff.
+    global.addEventListener('online', () => this.drain());
+
+    // Send whatever was left over from last time.
+    this.drain();
+  }
+
+  /**
+   * Queues a score report and tries to send it. Reports with a key that is
+   * already queued are ignored.
+   * @param {string} key Idempotency key of the report.
+   * @param {Object} body Report to post as JSON.
+   */
+  enqueue(key, body) {
+    if (this.reports.some(report => report.key === key)) {
+      return;
+    }
+
+    this.reports.push({ key: key, body: body, attempts: 0 });
+    this._save();
+    this.drain();
+  }
+
+  /**
+   * Sends the queued reports, unless some are already being sent.
+   */
+  drain() {
+    if (this.isSending || this.reports.length === 0) {
+      return;
+    }
+
+    if (this.retryTimeout !== null) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+
+    const report = this.reports[0];
+    const request = new XMLHttpRequest();
+    request.open('POST', this.getUrl());
+    request.timeout = REPORT_TIMEOUT;
+    request.setRequestHeader('Content-Type', 'application/json');
+    request.setRequestHeader('Idempotency-Key', report.key);
+    request.addEventListener('load', () => {
+      this.isSending = false;
+      if (request.status >= 500 || request.status === 429) {
+        this._retryLater(report);
+        return;
+      }
+
+      // Anything else is final. Retrying a report the server refused will
+      // not make it accept it.
+      if (request.status < 200 || request.status >= 300) {
+        console.warn(`Dropping score report ${report.key}: HTTP ${request.status}`);
+      }
+
+      this._remove(report);
+      this.drain();
+    });
+    request.addEventListener('error', () => {
+      this.isSending = false;
+      this._retryLater(report);
+    });
+    request.addEventListener('timeout', () => {
+      this.isSending = false;
+      this._retryLater(report);
+    });
+
+    this.isSending = true;
+    request.send(JSON.stringify(report.body));
+  }
+
+  /**
+   * Schedules another attempt at sending the reports, backing off
+   * exponentially. While offline, waits for connectivity instead.
+   * @param {{key: string, body: Object, attempts: number}} report
+   */
+  _retryLater(report) {
+    report.attempts++;
+    this._save();
+
+    if (navigator.onLine === false) {
+      return;
+    }
+
+    const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, report.attempts - 1), RETRY_MAX_DELAY);
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.drain();
+    }, delay);
+  }
+
+  /**
+   * @param {{key: string, body: Object, attempts: number}} report
+   */
+  _remove(report) {
+    this.reports.splice(this.reports.indexOf(report), 1);
+    this._save();
+  }
+
+  /**
+   * @returns {Array.<{key: string, body: Object, attempts: number}>}
+   */
+  _load() {
+    let reports;
+    try {
+      reports = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (e) {
+      console.warn('Discarding unreadable score outbox: ', e);
+      return [];
+    }
+
+    if (reports !== null && !Array.isArray(reports)) {
+      console.warn('Discarding score outbox that is not a list: ', reports);
+      return [];
+    }
+
+    return reports || [];
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.reports));
+  }
+}
+
+export default ScoreOutbox;
@@ -1,239 +1,67 @@
 'use strict';
 import * as PIXI from 'pixi.js';
 import 'pixi-action';
-import EventEmitter from 'eventemitter3';
-
-import PlaybookEvents,
-  { FriendlyNames as PlaybookEventsFriendlyNames } from './lib/PlaybookEvents';
-
-// The Playbook Bridge is supplied via addJavaScriptInterface() on the Java
-// side of the code. In the absence of that, we need to mock one.
-if (!global.PlaybookBridge) {
-  /** @type {Object<string, function>} */
-  global.PlaybookBridge = {
-    /**
-     * Returns the URL of the WebSocket server.
-     * @returns {string}
-     */
-    getAPIUrl: function () {
-      return 'ws://localhost:9001';
-    },
-
-    /**
-     * Returns the URL of the Section API server.
-     * @returns {string}
-     */
-    getSectionAPIUrl: function () {
-      return 'http://localhost:9002';
-    },
-
-    /**
-     * Returns the ID of the current player.
-     * This is stubbed.
-     * @returns {string}
-     */
-    getPlayerID: function () {
-      return 1;
-    },
-
-    /**
-     * Notifies the hosting application of the new state of the game.
-     * This is a no-op for the mock bridge.
-     * @type {string} stateJSON
-     */
-    notifyGameState: function (stateJSON) {
-      console.log('Saving state: ', stateJSON);
-      localStorage.setItem('prediction', stateJSON);
-    },
-
-    /**
-     * Notifies the hosting application that we have finished loading.
-     * This is a no-op for the mock bridge.
-     */
-    notifyLoaded: function () {
-      const restoredState = localStorage.getItem('prediction');
-      console.log('Loading state: ', restoredState);
-      if (restoredState != null) {
-        state.fromJSON(restoredState);
-      }
-    }
-  };
-} else {
-  // Receive messages from the hosting application.
-  global.addEventListener('message', function (e) {
-    const message = e.data;
-    switch (message.action) {
-      case 'RESTORE_GAME_STATE':
-        console.log('Restoring state from hosting application: ');
-        state.fromJSON(message.payload);
-        break;
-      case 'HANDLE_MESSAGE':
-        console.log('Handling message from hosting application: ');
-        handleIncomingMessage(message.payload);
-        break;
-    }
-  });
-}
-
-const GameStages = {
-  INITIAL: 'INITIAL',
-  CONTINUE: 'CONTINUE',
-  CONFIRMED: 'CONFIRMED'
-};
-
-const ScoreValues = {
-  [PlaybookEvents.NO_RUNS]: 4,
-  [PlaybookEvents.RUN_SCORED]: 4,
-  [PlaybookEvents.FLY_OUT]: 2,
-  [PlaybookEvents.TRIPLE_PLAY]: 1400,
-  [PlaybookEvents.DOUBLE_PLAY]: 20,
-  [PlaybookEvents.GROUND_OUT]: 2,
-  [PlaybookEvents.STEAL]: 5,
-  [PlaybookEvents.PICK_OFF]: 7,
-  [PlaybookEvents.WALK]: 3,
-  [PlaybookEvents.BLOCKED_RUN]: 10,
-  [PlaybookEvents.STRIKEOUT]: 2,
-  [PlaybookEvents.HIT_BY_PITCH]: 2,
-  [PlaybookEvents.HOME_RUN]: 10,
-  [PlaybookEvents.PITCH_COUNT_16]: 2,
-  [PlaybookEvents.PITCH_COUNT_17]: 2,
-  [PlaybookEvents.SINGLE]: 3,
-  [PlaybookEvents.DOUBLE]: 5,
-  [PlaybookEvents.TRIPLE]: 20,
-  [PlaybookEvents.BATTER_COUNT_4]: 2,
-  [PlaybookEvents.BATTER_COUNT_5]: 2,
-  [PlaybookEvents.MOST_FIELDED_BY_LEFT]: 2,
-  [PlaybookEvents.MOST_FIELDED_BY_RIGHT]: 2,
-  [PlaybookEvents.MOST_FIELDED_BY_INFIELDERS]: 2,
-  [PlaybookEvents.MOST_FIELDED_BY_CENTER]: 2
-};
-
-/**
- * Game state.
- */
-class GameState {
-  constructor() {
-    this.EVENT_STAGE_CHANGED = 'stageChanged';
-    this.EVENT_PREDICTION_COUNTS_CHANGED = 'predictionCountsChanged';
-    this.EVENT_SCORE_CHANGED = 'scoreChanged';
-
-    /** @type {Object.<string, number>} */
-    this._predictionCounts = {};
-
-    /** @type {string} */
-    this._stage = GameStages.INITIAL;
-
-    /** @type {Array<Ball>} */
-    this.balls = new Array();
-
-    /** @type {number} */
-    this._score = 0;
-
-    /** @type {EventEmitter} */
-    this.emitter = new EventEmitter();
-  }
-
-  /**
-   * @returns {string}
-   */
-  get stage() {
-    return this._stage;
-  }
-
-  /**
-   * @param {string} value
-   */
-  set stage(value) {
-    const oldValue = this._stage;
-    this._stage = value;
-    console.log('stage->', value);
-    this.emitter.emit(this.EVENT_STAGE_CHANGED, value, oldValue);
-    PlaybookBridge.notifyGameState(this.toJSON());
-  }
 
-  /**
-   * @returns {Object.<string, number>}
-   */
-  get predictionCounts() {
-    return this._predictionCounts;
-  }
-
-  /**
-   * @param {Object.<string, number>}
-   */
-  set predictionCounts(value) {
-    const oldValue = this._predictionCounts;
-    this._predictionCounts = value;
-    console.log('predictionCounts->', value);
-    this.emitter.emit(this.EVENT_PREDICTION_COUNTS_CHANGED, value, oldValue);
-    PlaybookBridge.notifyGameState(this.toJSON());
-  }
-
-  /**
-   * @returns {number}
-   */
-  get score() {
-    return this._score;
-  }
-
-  /**
-   * @param {number} value
-   */
-  set score(value) {
-    const oldValue = this._score;
-    this._score = value;
-    console.log('score->', value);
-    this.emitter.emit(this.EVENT_SCORE_CHANGED, value, oldValue);
-    PlaybookBridge.notifyGameState(this.toJSON());
-  }
-
-  /**
-   * Returns the game state as JSON.
-   * @returns {string}
-   */
-  toJSON() {
-    const savedState = {
-      stage: this._stage,
-      score: this.score,
-      balls: this.balls.map(ball => {
-        return {
-          selectedTarget: ball.selectedTarget ? ball.selectedTarget.name : null
-        };
-      })
-    };
-
-    return JSON.stringify(savedState);
-  }
-
-  /**
-   * Restores the game state from JSON.
-   * @param {string} state
-   */
-  fromJSON(state) {
-    const restoredState = JSON.parse(state);
-
-    const fieldOverlay = stage.getChildByName('fieldOverlay');
-    restoredState.balls.forEach((ball, i) => {
-      if (ball.selectedTarget !== null) {
-        const area = fieldOverlay.getChildByName(ball.selectedTarget);
-        makePrediction(this, area, this.balls[i]);
-        this.balls[i].moveToField(area, false);
-      }
-    });
-
-    // Restore this later because makePrediction changes the state.
-    this.stage = restoredState.stage;
-    this.score = restoredState.score;
-  }
+import PlaybookEvents, {
+  FriendlyNames as PlaybookEventsFriendlyNames,
+  ProtocolVersions as PlaybookEventsProtocolVersions
+} from './lib/PlaybookEvents';
+import createPlaybookBridge from './lib/PlaybookBridge';
+import ScoreOutbox from './lib/ScoreOutbox';
+import PlaybookSocket, { ConnectionStatuses } from './lib/PlaybookSocket';
+import { parsePlays } from './lib/Plays';
+import PredictionModel, {
+  GameStages,
+  SubmissionStatuses,
+  isPredictionOpen,
+  parseRules
+} from './lib/PredictionModel';
+import { isReplayRequested, startReplayMode } from './lib/ReplayOverlay';
+
+// In replay mode, a recorded game is played back in place of the live one.
+// The replay starts from a clean field, and neither saves the game nor
+// reports scores.
+const isReplayMode = isReplayRequested();
+
+// Talk to the hosting application through the native bridge, or a mock one
+// when running in a browser.
+const bridge = createPlaybookBridge('PlaybookBridge', 'prediction');
+if (isReplayMode) {
+  bridge.refuseHostMessages('A recorded game is being replayed');
 }
+bridge.on(bridge.EVENT_RESTORE_STATE, stateJSON => state.fromJSON(stateJSON));
+bridge.on(bridge.EVENT_MESSAGE, message => handleIncomingMessage(message));
 
-const connection = new WebSocket(PlaybookBridge.getAPIUrl());
+const connection = new PlaybookSocket(bridge.getAPIUrl());
 const renderer = PIXI.autoDetectRenderer(1080, 1920, {
   resolution: window.devicePixelRatio,
   transparent: true
 });
 const stage = new PIXI.Container();
-const state = new GameState();
+const state = new PredictionModel();
+
+// Whether the host has had the chance to restore the saved game. Plays and
+// clears can arrive while the scene is still loading, and saving them before
+// then would overwrite the saved game.
+let isRestored = false;
+
+state.emitter.on(state.EVENT_CHANGED, () => {
+  // Neither a replay nor a game that has yet to be restored may overwrite the
+  // saved game.
+  if (!isReplayMode && isRestored) {
+    bridge.notifyGameState(state.toJSON());
+  }
+});
+const scoreOutbox = new ScoreOutbox(
+  'prediction.scoreOutbox',
+  () => `${bridge.getSectionAPIUrl()}/updateScore`
+);
+
+/**
+ * Balls on screen, one for each ball in the model.
+ * @type {Array.<Ball>}
+ */
+const balls = new Array();
 
 /**
  * Sets up the renderer. Adjusts the renderer according to the size of the
@@ -254,20 +82,57 @@ function configureRenderer(renderer) {
 };
 
 /**
- * Sets up the WebSocket connection.
- * @param {WebSocket} connection
+ * Sets up the WebSocket connection. After a reconnect, we ask the server to
+ * resend the plays we missed. Plays we already have are ignored by their ID.
+ * @param {PlaybookSocket} connection
  */
 function configureWebSocket(connection) {
-  connection.addEventListener('open', function () {
+  connection.on(connection.EVENT_OPEN, function (isReconnect) {
     console.log(`Connected to ${connection.url}`);
+
+    // Tell the server which protocol versions we understand.
+    connection.send('client:hello', { protocolVersions: PlaybookEventsProtocolVersions });
+
+    if (isReconnect) {
+      const appliedPlayIds = state.appliedPlayIds;
+      connection.send('client:resync', {
+        lastPlayId: appliedPlayIds.length > 0 ? appliedPlayIds[appliedPlayIds.length - 1] : null
+      });
+    }
   });
 
-  connection.addEventListener('message', function (message) {
-    message = JSON.parse(message.data);
-    handleIncomingMessage(message);
+  connection.on(connection.EVENT_MESSAGE, message => {
+    if (!isReplayMode) {
+      handleIncomingMessage(message);
+    }
   });
 };
 
+/**
+ * Initializes the connection status indicator, a dot that is green while
+ * connected, yellow while connecting and red while disconnected.
+ * @param {PIXI.Graphics} indicator
+ * @param {number} radius
+ */
+function initConnectionIndicatorEvents(indicator, radius) {
+  const colors = {
+    [ConnectionStatuses.CONNECTING]: 0xffcc00,
+    [ConnectionStatuses.CONNECTED]: 0x33cc33,
+    [ConnectionStatuses.DISCONNECTED]: 0xcc3333
+  };
+
+  const update = function (status) {
+    indicator.clear();
+    indicator.beginFill(colors[status]);
+    indicator.drawCircle(0, 0, radius);
+    indicator.endFill();
+    renderer.isDirty = true;
+  };
+
+  connection.on(connection.EVENT_STATUS_CHANGED, update);
+  update(connection.status);
+}
+
 /**
  * Handles incoming messages.
  * @param {Object} message
@@ -276,70 +141,182 @@ function configureWebSocket(connection) {
  */
 function handleIncomingMessage(message) {
   switch (message.event) {
+    case 'server:hello':
+      handleHello(message.data);
+      break;
     case 'server:playsCreated':
       handlePlaysCreated(message.data);
       break;
     case 'server:clearPredictions':
       handleClearPredictions();
       break;
+    case 'server:oddsUpdated':
+      handleOddsUpdated(message.data);
+      break;
+    case 'server:rulesUpdated':
+      handleRulesUpdated(message.data);
+      break;
+    case 'server:inningStarted':
+    case 'server:predictionsLocked':
+      // Whatever is on the field at this point is the prediction for the
+      // inning, whether or not the fan confirmed it.
+      state.lock();
+      break;
+    case 'server:inningEnded':
+      state.endInning();
+      break;
+    case 'server:inningResolved':
+      state.resolveInning();
+      break;
     default:
   }
 }
 
 /**
- * Handles plays created event.
- * @param {Array.<number>} events
+ * Handles hello event. The server replies to our hello with the protocol
+ * version it picked from the ones we support. A hello without one keeps the
+ * current version.
+ * @param {Object?} data
+ * @param {number} data.protocolVersion
  */
-function handlePlaysCreated(events) {
-  if (state.stage === GameStages.CONFIRMED) {
-    const plays = events.map(PlaybookEvents.getById);
-    for (const play of plays) {
-      if (state.predictionCounts[play] !== undefined) {
-        state.score += ScoreValues[play] * state.predictionCounts[play];
-        reportScore(ScoreValues[play] * state.predictionCounts[play]);
-
-        const overlay = new PredictionCorrectOverlay(play);
-        const scoreTab = stage.getChildByName('scoreTab');
-        const scoreTabGlobalPosition = scoreTab.toGlobal(scoreTab.getChildByName('score').position);
-        initPredictionCorrectOverlayEvents(overlay, scoreTabGlobalPosition);
-        stage.addChild(overlay);
-        renderer.isDirty = true;
-
-        navigator.vibrate(200);
-      }
-    }
+function handleHello(data) {
+  if (typeof data !== 'object' || data === null) {
+    console.warn('Ignoring hello without a protocol version');
+    return;
   }
+
+  PlaybookEvents.setProtocolVersion(data.protocolVersion);
+}
+
+/**
+ * Handles plays created event. Every ball on a play that scores is reported
+ * separately.
+ * @param {Array.<number|Object>} data
+ */
+function handlePlaysCreated(data) {
+  // Plays without IDs are keyed by when they arrived.
+  const receivedAt = Date.now();
+  state.applyPlays(parsePlays(data)).forEach(({ id, event: play, balls: ballIndices }, i) => {
+    const playKey = id !== null ? id : `${receivedAt}-${i}`;
+    ballIndices.forEach(ballIndex => {
+      reportScore(state.rules.scoreValues[play], `${playKey}-${ballIndex}`);
+    });
+
+    const overlay = new PredictionCorrectOverlay(play);
+    const scoreTab = stage.getChildByName('scoreTab');
+    const scoreTabGlobalPosition = scoreTab.toGlobal(scoreTab.getChildByName('score').position);
+    initPredictionCorrectOverlayEvents(overlay, scoreTabGlobalPosition);
+    stage.addChild(overlay);
+    renderer.isDirty = true;
+
+    navigator.vibrate(200);
+  });
 }
 
 /**
  * Handle clear predictions event.
  */
 function handleClearPredictions() {
-  const fieldOverlay = stage.getChildByName('fieldOverlay');
-  const ballSlot = stage.getChildByName('ballSlot');
   renderer.resetLastRenderTime = true;
-  state.balls.forEach((ball, i) => {
-    if (ball.selectedTarget !== null) {
-      undoPrediction(state, ball.selectedTarget, ball);
-      ball.moveToSlot(ballSlot, i);
-    }
+  state.clear();
+}
+
+/**
+ * Puts the scene back to how it was before a replay started, so that the
+ * replay can be played again from the start.
+ */
+function resetForReplay() {
+  handleClearPredictions();
+  state.score = 0;
+  state.odds = {};
+  state.appliedPlayIds = [];
+}
+
+/**
+ * Handle odds updated event.
+ * @param {Array.<{id: number, odds: number}>} odds Probability of each event.
+ */
+function handleOddsUpdated(odds) {
+  const newOdds = {};
+  odds.forEach(entry => {
+    newOdds[PlaybookEvents.getById(entry.id)] = entry.odds;
   });
 
-  state.stage = GameStages.INITIAL;
+  state.odds = newOdds;
+}
+
+/**
+ * Handle rules updated event.
+ * @param {Object} data
+ */
+function handleRulesUpdated(data) {
+  state.updateRules(parseRules(data));
 }
 
 /**
- * Report a scoring event to the server.
+ * Report a scoring event to the server. Reports go through the outbox, which
+ * keeps retrying until the server has them.
  * @param {number} score
+ * @param {string} key Idempotency key, unique to the play and ball.
+ */
+function reportScore(score, key) {
+  if (isReplayMode) {
+    return;
+  }
+
+  scoreOutbox.enqueue(`predict-${key}`, {
+    cat: 'predict',
+    predictScore: score,
+    id: bridge.getPlayerID()
+  });
+}
+
+/**
+ * How long to wait for the Section API to take a prediction, in milliseconds.
+ * @type {number}
  */
-function reportScore(score) {
+const SUBMIT_PREDICTIONS_TIMEOUT = 10000;
+
+/**
+ * Submits the confirmed prediction to the Section API. If the server refuses
+ * it, cannot be reached or takes too long, the fan is sent back to confirm
+ * it again.
+ */
+function submitPredictions() {
   const request = new XMLHttpRequest();
-  request.open('POST', `${PlaybookBridge.getSectionAPIUrl()}/updateScore`);
+  request.open('POST', `${bridge.getSectionAPIUrl()}/submitPredictions`);
   request.setRequestHeader('Content-Type', 'application/json');
+  request.timeout = SUBMIT_PREDICTIONS_TIMEOUT;
+  request.addEventListener('load', function () {
+    let response = {};
+    try {
+      response = JSON.parse(request.responseText);
+    } catch (e) {
+      // Treat an empty or malformed body like an acknowledgement.
+    }
+
+    if (request.status >= 200 && request.status < 300 && response.accepted !== false) {
+      state.submissionStatus = SubmissionStatuses.ACCEPTED;
+    } else if (request.status >= 500) {
+      state.failSubmission(SubmissionStatuses.FAILED);
+    } else {
+      console.warn('Predictions rejected: ', response.reason);
+      state.failSubmission(SubmissionStatuses.REJECTED);
+    }
+  });
+  request.addEventListener('error', function () {
+    state.failSubmission(SubmissionStatuses.FAILED);
+  });
+  request.addEventListener('timeout', function () {
+    state.failSubmission(SubmissionStatuses.FAILED);
+  });
+
+  state.submissionStatus = SubmissionStatuses.PENDING;
   request.send(JSON.stringify({
-    cat: 'predict',
-    predictScore: score,
-    id: PlaybookBridge.getPlayerID()
+    id: bridge.getPlayerID(),
+    predictions: state.predictionCounts,
+    rulesVersion: state.rules.version,
+    timestamp: new Date().toISOString()
   }));
 }
 
@@ -381,6 +358,147 @@ class PredictionCorrectOverlay extends PIXI.Container {
   }
 }
 
+/**
+ * Results overlay. Summarizes the inning once it has been resolved: every
+ * predicted area with its number of balls, whether it hit and the points it
+ * earned, followed by the inning total and the running total.
+ */
+class ResultsOverlay extends PIXI.Container {
+  constructor() {
+    super();
+
+    /** @type {PIXI.Graphics} */
+    this.background = new PIXI.Graphics();
+    this.background.beginFill(0x000000, 0.85);
+    this.background.drawRect(0, 0, window.innerWidth, window.innerHeight);
+    this.background.endFill();
+    this.background.interactive = true;
+    this.addChild(this.background);
+
+    const padding = 32.0;
+    const rowHeight = 48.0;
+    const createText = (text, x, y, anchorX, fontSize = 24.0) => {
+      const label = new PIXI.Text(text);
+      label.style.fill = 0xffffff;
+      label.style.fontSize = fontSize;
+      label.style.fontFamily = 'proxima-nova';
+      label.style.fontWeight = 'bold';
+      label.anchor.set(anchorX, 0.5);
+      label.position.set(x, y);
+      this.addChild(label);
+      return label;
+    };
+
+    let y = window.innerHeight * 0.15;
+    createText('Inning results'.toUpperCase(), window.innerWidth / 2, y, 0.5, 36.0);
+    y += rowHeight * 1.5;
+
+    const areas = Object.keys(state.predictionCounts);
+    if (areas.length === 0) {
+      createText('No predictions this inning', window.innerWidth / 2, y, 0.5);
+      y += rowHeight;
+    }
+
+    areas.forEach(area => {
+      const isHit = state.inningScores[area] !== undefined;
+      createText(`${PlaybookEventsFriendlyNames[area]} \u00d7${state.predictionCounts[area]}`, padding, y, 0.0);
+      createText(isHit ? 'Hit'.toUpperCase() : 'Miss'.toUpperCase(), window.innerWidth * 0.7, y, 1.0);
+      createText(`${isHit ? state.inningScores[area] : 0}`, window.innerWidth - padding, y, 1.0);
+      y += rowHeight;
+    });
+
+    const inningTotal = Object.keys(state.inningScores)
+      .reduce((total, area) => total + state.inningScores[area], 0);
+    y += rowHeight / 2;
+    createText('Inning total'.toUpperCase(), padding, y, 0.0);
+    createText(`${inningTotal}`, window.innerWidth - padding, y, 1.0);
+    y += rowHeight;
+    createText('Running total'.toUpperCase(), padding, y, 0.0);
+    createText(`${state.score}`, window.innerWidth - padding, y, 1.0);
+
+    /** @type {PIXI.Sprite} */
+    this.nextButton = new PIXI.Sprite(PIXI.loader.resources['resources/Prediction-Button-Continue.png'].texture);
+    const nextButtonScale = window.innerWidth / this.nextButton.texture.width;
+    this.nextButton.scale.set(nextButtonScale, nextButtonScale);
+    this.nextButton.position.set(0, window.innerHeight - this.nextButton.height);
+    this.addChild(this.nextButton);
+  }
+}
+
+/**
+ * Odds panel. Lists what every field area is worth, and the live odds of
+ * each event when the server provides them.
+ */
+class OddsPanel extends PIXI.Container {
+  /**
+   * @param {Array.<string>} events
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(events, width, height) {
+    super();
+
+    /** @type {Array.<string>} */
+    this.events = events;
+
+    /** @type {bool} */
+    this.isOpen = false;
+
+    /** @type {PIXI.Graphics} */
+    this.background = new PIXI.Graphics();
+    this.background.beginFill(0x000000, 0.85);
+    this.background.drawRect(0, 0, width, height);
+    this.background.endFill();
+    this.addChild(this.background);
+
+    const padding = 16.0;
+    const rowHeight = height / (events.length + 1);
+    const fontSize = Math.min(rowHeight * 0.6, 32.0);
+    const createText = (text, x, y, anchorX) => {
+      const label = new PIXI.Text(text);
+      label.style.fill = 0xffffff;
+      label.style.fontSize = fontSize;
+      label.style.fontFamily = 'proxima-nova';
+      label.style.fontWeight = 'bold';
+      label.anchor.set(anchorX, 0.5);
+      label.position.set(x, y);
+      this.addChild(label);
+      return label;
+    };
+
+    createText('Area'.toUpperCase(), padding, rowHeight / 2, 0.0);
+    createText('Odds'.toUpperCase(), width * 0.7, rowHeight / 2, 1.0);
+    createText('Points'.toUpperCase(), width - padding, rowHeight / 2, 1.0);
+
+    /** @type {Object.<string, PIXI.Text>} */
+    this.oddsTexts = {};
+
+    /** @type {Object.<string, PIXI.Text>} */
+    this.pointsTexts = {};
+
+    events.forEach((event, i) => {
+      const y = rowHeight * (i + 1.5);
+      createText(PlaybookEventsFriendlyNames[event], padding, y, 0.0);
+      this.oddsTexts[event] = createText('', width * 0.7, y, 1.0);
+      this.pointsTexts[event] = createText('', width - padding, y, 1.0);
+    });
+
+    this.update();
+  }
+
+  /**
+   * Refreshes the points and odds of every event.
+   */
+  update() {
+    this.events.forEach(event => {
+      const odds = state.odds[event];
+      this.oddsTexts[event].text = odds !== undefined ? `${Math.round(odds * 100)}%` : '-';
+      this.pointsTexts[event].text = `${state.rules.scoreValues[event]}`;
+    });
+    renderer.isDirty = true;
+  }
+}
+
 /**
  * Field overlay.
  */
@@ -400,16 +518,13 @@ class FieldOverlay extends PIXI.Sprite {
 
     // When prediction count changes, we need to update the ball counts.
     state.emitter.on(state.EVENT_PREDICTION_COUNTS_CHANGED, (value, oldValue) => {
-      const events = new Set(Object.keys(value));
-      const oldEvents = new Set(Object.keys(oldValue));
-
-      // Compute the difference between the two counts.
-      const changed = [...events].filter(x => oldEvents.has(x));
+      // Counts may appear, change and disappear all at once, as when the
+      // field is cleared or restored.
+      const changed = new Set([...Object.keys(value), ...Object.keys(oldValue)]);
       changed.forEach(name => {
         const area = this.getAreaByName(name);
         const count = value[name];
         if (count > 1) {
-          const texture = PIXI.loader.resources[`resources/Item-Ball-x${count}.png`].texture;
           area.ballCountSprite.count = count;
           area.ballCountSprite.visible = true;
         } else {
@@ -432,15 +547,12 @@ class FieldOverlay extends PIXI.Sprite {
       area.name = event;
       area.interactive = true;
       area.alpha = 0;
-      area.beginFill(0x000000);
-      area.drawPolygon(points);
-      area.endFill();
+      area.fill(0x000000);
 
       const moveNextBallToField = () => {
-        const nextBall = balls.find(ball => ball.selectedTarget === null);
-        if (nextBall !== undefined) {
-          makePrediction(state, area, nextBall);
-          nextBall.moveToField(area);
+        const nextBall = state.targets.indexOf(null);
+        if (nextBall !== -1) {
+          state.predict(nextBall, event);
         }
       }
 
@@ -509,9 +621,9 @@ class BallCountSprite extends PIXI.Sprite {
     this.position.set(centroid.x, centroid.y);
     this.anchor.set(0.5, 0.5);
 
-    // Listen for confirmed event.
+    // Grey out once the prediction can no longer change.
     state.emitter.on(state.EVENT_STAGE_CHANGED, (value) => {
-      if (value === GameStages.CONFIRMED) {
+      if (!isPredictionOpen(value)) {
         this.tint = 0x999999;
       } else {
         this.tint = 0xffffff;
@@ -555,6 +667,9 @@ class FieldOverlayArea extends PIXI.Graphics {
 
     /** @type {bool} */
     this._highlighted = false;
+
+    /** @type {bool} */
+    this._isFlashing = false;
   }
 
   highlight() {
@@ -564,7 +679,10 @@ class FieldOverlayArea extends PIXI.Graphics {
   }
 
   clearHighlight() {
-    this.alpha = 0;
+    // Let a running flash fade out by itself.
+    if (!this._isFlashing) {
+      this.alpha = 0;
+    }
     this._highlighted = false;
     renderer.isDirty = true;
   }
@@ -573,6 +691,33 @@ class FieldOverlayArea extends PIXI.Graphics {
     return this._highlighted;
   }
 
+  /**
+   * Redraws the area in the given color.
+   * @param {number} color
+   */
+  fill(color) {
+    this.clear();
+    this.beginFill(color);
+    this.drawPolygon(this.hitArea.points);
+    this.endFill();
+  }
+
+  /**
+   * Briefly flashes the area red to show that it cannot be predicted.
+   */
+  flashBlocked() {
+    this.fill(0xff0000);
+    this.alpha = 0.5;
+    this._isFlashing = true;
+    const fadeOut = new PIXI.action.FadeOut(0.5);
+    const callFunc = new PIXI.action.CallFunc(() => {
+      this.fill(0x000000);
+      this._isFlashing = false;
+    });
+    PIXI.actionManager.runAction(this, new PIXI.action.Sequence([fadeOut, callFunc]));
+    renderer.isDirty = true;
+  }
+
   /**
    * Returns the centroid of the overlay area. The center is defined in terms
    * of the local space of the field overlay.
@@ -643,9 +788,6 @@ class Ball {
 
     /** @type {bool} */
     this.isAnimating = false;
-
-    /** @type {FieldOverlayArea?} */
-    this.selectedTarget = null;
   }
 
   /**
@@ -721,14 +863,20 @@ function initBallEvents(ball, ballSlot, fieldOverlay) {
   ball.sprite.hitArea = new PIXI.Circle(0, 0, ball.sprite.texture.width / 2);
 
   // Listen for changes to state.
-  state.emitter.on(state.EVENT_STAGE_CHANGED, function (value) {
-    if (value === GameStages.CONFIRMED) {
+  const onStageChanged = function (value) {
+    if (!isPredictionOpen(value)) {
       ball.sprite.interactive = false;
       ball.sprite.tint = 0x999999;
     } else {
       ball.sprite.interactive = true;
       ball.sprite.tint = 0xffffff;
     }
+  };
+  state.emitter.on(state.EVENT_STAGE_CHANGED, onStageChanged);
+
+  // Balls are removed when the rules ask for fewer of them.
+  ball.sprite.once('removed', function () {
+    state.emitter.off(state.EVENT_STAGE_CHANGED, onStageChanged);
   });
 
   const onTouchStart = function (e) {
@@ -770,14 +918,14 @@ function initBallEvents(ball, ballSlot, fieldOverlay) {
     if (ball.isAnimating || !ball.isBeingDragged) { return; }
     ball.isBeingDragged = false;
 
-    // If there's a drag target, move the ball there.
-    if (ball.dragTarget) {
-      makePrediction(state, ball.dragTarget, ball);
-      ball.moveToField(ball.dragTarget);
-    } else if (ball.selectedTarget &&
-               ballSlot.getBounds().contains(e.data.global.x, e.data.global.y)) {
-      undoPrediction(state, ball.selectedTarget, ball);
-      ball.moveToSlot(ballSlot, state.balls.indexOf(ball));
+    // If there's a drag target, move the ball there. The ball follows the
+    // model once it has been moved.
+    const index = balls.indexOf(ball);
+    if (ball.dragTarget && state.predict(index, ball.dragTarget.name)) {
+      // Moved to the drag target.
+    } else if (ballSlot.getBounds().contains(e.data.global.x, e.data.global.y) &&
+               state.undoPrediction(index)) {
+      // Moved back to the slot.
     } else {
       ball.moveToOrigPosition();
     }
@@ -798,14 +946,34 @@ function initBallEvents(ball, ballSlot, fieldOverlay) {
  * @param {PIXI.Sprite} continueBanner
  */
 function initContinueBannerEvents(continueBanner) {
-  state.emitter.on(state.EVENT_STAGE_CHANGED, function (stage) {
-    continueBanner.visible = stage === GameStages.CONTINUE;
+  const statusText = continueBanner.getChildByName('status');
+  const update = function () {
+    const stage = state.stage;
+    const status = state.submissionStatus;
+    continueBanner.visible = stage === GameStages.CONTINUE || stage === GameStages.CONFIRMED;
+    continueBanner.tint = stage === GameStages.CONFIRMED ? 0x999999 : 0xffffff;
+
+    if (stage === GameStages.CONFIRMED) {
+      statusText.text = status === SubmissionStatuses.ACCEPTED ? 'Confirmed' : 'Pending\u2026';
+    } else if (status === SubmissionStatuses.REJECTED) {
+      statusText.text = 'Not accepted, try again';
+    } else if (status === SubmissionStatuses.FAILED) {
+      statusText.text = 'Not sent, try again';
+    } else {
+      statusText.text = '';
+    }
+    statusText.text = statusText.text.toUpperCase();
     renderer.isDirty = true;
-  });
+  };
+
+  state.emitter.on(state.EVENT_STAGE_CHANGED, update);
+  state.emitter.on(state.EVENT_SUBMISSION_STATUS_CHANGED, update);
 
   continueBanner.interactive = true;
   continueBanner.on('tap', function () {
-    state.stage = GameStages.CONFIRMED;
+    if (state.confirm()) {
+      submitPredictions();
+    }
   });
 }
 
@@ -820,6 +988,60 @@ function initScoreEvents(scoreText) {
   });
 }
 
+/**
+ * Initializes events for the odds tab and its panel. Tapping the tab slides
+ * the panel in or out, and the panel follows live odds from the server.
+ * @param {PIXI.Sprite} oddsTab
+ * @param {PIXI.Text} oddsTabArrow
+ * @param {OddsPanel} oddsPanel
+ */
+function initOddsPanelEvents(oddsTab, oddsTabArrow, oddsPanel) {
+  state.emitter.on(state.EVENT_ODDS_CHANGED, () => oddsPanel.update());
+  state.emitter.on(state.EVENT_RULES_CHANGED, () => oddsPanel.update());
+
+  const toggle = () => {
+    oddsPanel.isOpen = !oddsPanel.isOpen;
+    const x = oddsPanel.isOpen ? window.innerWidth - oddsPanel.width : window.innerWidth;
+    PIXI.actionManager.runAction(oddsPanel, new PIXI.action.MoveTo(x, oddsPanel.y, 0.25));
+
+    // Point the arrow in the direction the panel will move.
+    oddsTabArrow.scale.x = -oddsTabArrow.scale.x;
+    oddsTabArrow.position.x += oddsPanel.isOpen ? oddsTabArrow.width : -oddsTabArrow.width;
+    renderer.isDirty = true;
+  };
+
+  oddsTab.interactive = true;
+  oddsTab.on('tap', toggle);
+  oddsPanel.interactive = true;
+  oddsPanel.on('tap', toggle);
+}
+
+/**
+ * Initializes the results overlay, which is shown for as long as the inning
+ * is in the results stage. The button on it clears the field for the next
+ * inning.
+ */
+function initResultsOverlayEvents() {
+  let overlay = null;
+
+  state.emitter.on(state.EVENT_STAGE_CHANGED, function (value) {
+    if (value === GameStages.RESULTS && overlay === null) {
+      overlay = new ResultsOverlay();
+      overlay.nextButton.interactive = true;
+      overlay.nextButton.on('tap', handleClearPredictions);
+      stage.addChild(overlay);
+      renderer.isDirty = true;
+    } else if (value !== GameStages.RESULTS && overlay !== null) {
+      const fadingOverlay = overlay;
+      const fadeOut = new PIXI.action.FadeOut(0.25);
+      const callFunc = new PIXI.action.CallFunc(() => fadingOverlay.destroy());
+      fadingOverlay.nextButton.interactive = false;
+      PIXI.actionManager.runAction(fadingOverlay, new PIXI.action.Sequence([fadeOut, callFunc]));
+      overlay = null;
+    }
+  });
+}
+
 /**
  * Initializes events for the prediction correct overlay.
  * @param {PredictionCorrectOverlay} overlay
@@ -849,7 +1071,8 @@ function initPredictionCorrectOverlayEvents(overlay, scoreTextPosition) {
 }
 
 /**
- * Sets up the field overlay.
+ * Sets up the field overlay, with an area for each of the PredictableEvents
+ * of the model.
  * @param {Array.<Ball>} balls
  * @returns {FieldOverlay}
  */
@@ -1023,71 +1246,101 @@ function createFieldOverlay(balls) {
 };
 
 /**
- * Returns the world space position for a ball slot.
+ * Returns the world space position for a ball slot. Balls sit side by side
+ * from the left of the slot, and squeeze together if there are too many of
+ * them to fit.
  * @param {PIXI.Texture} ballTexture
  * @param {PIXI.Sprite} ballSlot
  * @param {Number} i
  */
 function getBallPositionForSlot(ballTexture, ballSlot, i) {
   const ballScale = ballSlot.texture.height / ballTexture.height / 1.5;
+  const margin = 120;
+  const count = state.rules.ballCount;
+  const spacing = Math.min(
+    ballTexture.width * ballScale,
+    (ballSlot.texture.width - margin * 2) / Math.max(count - 1, 1)
+  );
   return ballSlot.toGlobal(new PIXI.Point(
-    120 + ballTexture.width * i * ballScale,
+    margin + spacing * i,
     ballSlot.texture.height / 2
   ));
 };
 
-
 /**
- * Makes a prediction using the specified ball.
- * @param {GameState} state
- * @param {FieldOverlayArea} area
- * @param {Ball} ball
+ * Adds or removes balls so that there is one for each ball in the model, and
+ * puts every ball where the model has it without animation.
  */
-function makePrediction(state, area, ball) {
-  if (ball.selectedTarget !== null) {
-    undoPrediction(state, ball.selectedTarget, ball);
+function syncBalls() {
+  const ballSlot = stage.getChildByName('ballSlot');
+  const fieldOverlay = stage.getChildByName('fieldOverlay');
+
+  while (balls.length > state.targets.length) {
+    balls.pop().sprite.destroy();
   }
 
-  ball.selectedTarget = area;
-  const predictionCounts = Object.assign({}, state.predictionCounts);
+  while (balls.length < state.targets.length) {
+    const ballTexture = PIXI.loader.resources['resources/Item-Ball.png'].texture;
+    const ballSprite = new PIXI.Sprite(ballTexture);
+    const ballScale = ballSlot.height / ballTexture.height / 1.5;
+    ballSprite.anchor.set(0.5, 0.5);
+    ballSprite.scale.set(ballScale, ballScale);
 
-  if (predictionCounts[area.name] === undefined) {
-    predictionCounts[area.name] = 0;
-  }
+    const ball = new Ball();
+    ball.sprite = ballSprite;
+    balls.push(ball);
 
-  predictionCounts[area.name]++;
+    initBallEvents(ball, ballSlot, fieldOverlay);
+    if (!isPredictionOpen(state.stage)) {
+      ballSprite.interactive = false;
+      ballSprite.tint = 0x999999;
+    }
 
-  // Check if all the balls have selected targets.
-  if (state.balls.every(ball => ball.selectedTarget)) {
-    state.stage = GameStages.CONTINUE;
-  } else {
-    stage.stage = GameStages.INITIAL;
+    // Keep the balls above the field, but below everything else.
+    stage.addChildAt(ballSprite, stage.getChildIndex(fieldOverlay) + balls.length);
   }
 
-  state.predictionCounts = predictionCounts;
+  balls.forEach((ball, i) => {
+    const target = state.targets[i];
+    if (target !== null) {
+      ball.moveToField(fieldOverlay.getAreaByName(target), false);
+    } else {
+      const ballPosition = getBallPositionForSlot(ball.sprite.texture, ballSlot, i);
+      ball.sprite.position.set(ballPosition.x, ballPosition.y);
+    }
+  });
+
+  renderer.isDirty = true;
 }
 
 /**
- * Undoes a prediction using the specified ball.
- * @param {GameState} state
- * @param {FieldOverlayArea} name
- * @param {Ball} ball
+ * Initializes the balls, which follow the balls in the model. Predictions
+ * that are blocked flash their area.
+ * @param {PIXI.Sprite} ballSlot
+ * @param {FieldOverlay} fieldOverlay
  */
-function undoPrediction(state, area, ball) {
-  const predictionCounts = Object.assign({}, state.predictionCounts);
-  predictionCounts[area.name]--;
-  if (predictionCounts[area.name] === 0) {
-    delete predictionCounts[area.name];
-  }
+function initBallsEvents(ballSlot, fieldOverlay) {
+  state.emitter.on(state.EVENT_BALLS_CHANGED, syncBalls);
 
-  ball.selectedTarget = null;
+  state.emitter.on(state.EVENT_BALL_MOVED, function (index, target) {
+    const ball = balls[index];
+    if (ball === undefined) {
+      return;
+    }
 
-  // Check if all the balls have selected targets.
-  if (state.stage === GameStages.CONTINUE) {
-    state.stage = GameStages.INITIAL;
-  }
+    if (target !== null) {
+      ball.moveToField(fieldOverlay.getAreaByName(target));
+    } else {
+      ball.moveToSlot(ballSlot, index);
+    }
+  });
+
+  state.emitter.on(state.EVENT_PREDICTION_BLOCKED, function (event) {
+    fieldOverlay.getAreaByName(event).flashBlocked();
+    navigator.vibrate(200);
+  });
 
-  state.predictionCounts = predictionCounts;
+  syncBalls();
 }
 
 function setup() {
@@ -1106,6 +1359,16 @@ function setup() {
   banner.scale.set(bannerScale, bannerScale);
   stage.addChild(banner);
 
+  // Add connection status indicator to the right of the banner.
+  const connectionIndicator = new PIXI.Graphics();
+  const connectionIndicatorRadius = 12.0 * bannerScale;
+  connectionIndicator.position.set(
+    window.innerWidth - 40.0 * bannerScale,
+    60.0 * bannerScale
+  );
+  initConnectionIndicatorEvents(connectionIndicator, connectionIndicatorRadius);
+  stage.addChild(connectionIndicator);
+
   // Add ball slot to screen.
   const ballSlotTexture = PIXI.loader.resources['resources/Prediction-Holder-BallsSlot.png'].texture;
   const ballSlot = new PIXI.Sprite(ballSlotTexture);
@@ -1117,7 +1380,7 @@ function setup() {
   stage.addChild(ballSlot);
 
   // Add overlay to screen.
-  const fieldOverlay = createFieldOverlay(state.balls);
+  const fieldOverlay = createFieldOverlay(balls);
   const fieldOverlayScaleX = window.innerWidth / fieldOverlay.texture.width;
   const fieldOverlayScaleY = (window.innerHeight - bannerHeight - ballSlotHeight) / fieldOverlay.texture.height;
   const fieldOverlayScale = Math.min(fieldOverlayScaleX, fieldOverlayScaleY);
@@ -1132,25 +1395,10 @@ function setup() {
   stage.addChild(fieldOverlay);
 
   // Add balls to scene.
-  for (let i = 0; i < 5; i++) {
-    const ballTexture = PIXI.loader.resources['resources/Item-Ball.png'].texture;
-    const ballSprite = new PIXI.Sprite(ballTexture);
-    const ballScale = ballSlotHeight / ballTexture.height / 1.5;
-    const ballPosition = getBallPositionForSlot(ballTexture, ballSlot, i);
-    ballSprite.anchor.set(0.5, 0.5);
-    ballSprite.scale.set(ballScale, ballScale);
-    ballSprite.position.set(ballPosition.x, ballPosition.y);
-
-    const ball = new Ball();
-    ball.sprite = ballSprite;
-    state.balls.push(ball);
-
-    initBallEvents(ball, ballSlot, fieldOverlay);
-    stage.addChild(ballSprite);
-  }
+  initBallsEvents(ballSlot, fieldOverlay);
 
   // Add ball counts to overlay areas.
-  const ballCountSprites = createBallCountSprites(fieldOverlay, state.balls[0].sprite);
+  const ballCountSprites = createBallCountSprites(fieldOverlay, balls[0].sprite);
   for (const sprite of ballCountSprites) {
     stage.addChild(sprite);
   }
@@ -1163,9 +1411,19 @@ function setup() {
   continueBanner.position.set(0, window.innerHeight - continueBannerHeight);
   continueBanner.scale.set(continueBannerScale, continueBannerScale);
   continueBanner.visible = false;
-  initContinueBannerEvents(continueBanner);
   stage.addChild(continueBanner);
 
+  const continueBannerStatus = new PIXI.Text('');
+  continueBannerStatus.name = 'status';
+  continueBannerStatus.style.fill = 0xffffff;
+  continueBannerStatus.style.fontSize = 56.0;
+  continueBannerStatus.style.fontFamily = 'proxima-nova-excn';
+  continueBannerStatus.style.fontWeight = 900;
+  continueBannerStatus.anchor.set(0.0, 0.5);
+  continueBannerStatus.position.set(48.0, continueBannerTexture.height / 2);
+  continueBanner.addChild(continueBannerStatus);
+  initContinueBannerEvents(continueBanner);
+
   // Add score tab.
   const scoreTabTexture = PIXI.loader.resources['resources/Prediction-Scoretab.png'].texture;
   const scoreTab = new PIXI.Sprite(scoreTabTexture);
@@ -1232,6 +1490,20 @@ function setup() {
   );
   oddsTab.addChild(oddsTabArrow);
 
+  // Add odds panel, hidden off the right edge of the screen.
+  const oddsPanel = new OddsPanel(
+    fieldOverlay.children.map(area => area.name),
+    window.innerWidth * 0.8,
+    oddsTab.position.y - bannerHeight
+  );
+  oddsPanel.name = 'oddsPanel';
+  oddsPanel.position.set(window.innerWidth, bannerHeight);
+  initOddsPanelEvents(oddsTab, oddsTabArrow, oddsPanel);
+  stage.addChild(oddsPanel);
+
+  // Show the results of each inning once it has been resolved.
+  initResultsOverlayEvents();
+
   /**
    * Begin the animation loop.
    * @param {DOMHighResTimeStamp} now
@@ -1257,7 +1529,28 @@ function setup() {
 
   let lastRenderTime = performance.now();
   renderer.isDirty = true;
-  PlaybookBridge.notifyLoaded();
+  bridge.notifyLoaded();
+
+  // The host restores the saved game, if there is one, once it hears that we
+  // have loaded. Only from here on may the game be saved.
+  isRestored = true;
+
+  // The hosting application may supply its own rules. These are treated as
+  // if the server had sent them. The native host restores the saved state
+  // only after this, in which case the newer of the two sets of rules wins.
+  const bridgeRules = bridge.getRules();
+  if (bridgeRules) {
+    try {
+      handleRulesUpdated(JSON.parse(bridgeRules));
+    } catch (err) {
+      console.warn('Ignoring malformed rules from the hosting application, keeping the default rules: ', err);
+    }
+  }
+
+  if (isReplayMode) {
+    startReplayMode(handleIncomingMessage, resetForReplay);
+  }
+
   beginDrawLoop(lastRenderTime);
 };
 
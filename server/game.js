@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Wire IDs of the events used by the scripted game, from protocol version 2.
+ * See lib/PlaybookEvents.js.
+ */
+const Events = {
+  NO_RUNS: 0,
+  RUN_SCORED: 1,
+  FLY_OUT: 2,
+  DOUBLE_PLAY: 4,
+  GROUND_OUT: 5,
+  STEAL: 6,
+  WALK: 8,
+  STRIKEOUT: 10,
+  HOME_RUN: 12,
+  PITCH_COUNT_16: 13,
+  SINGLE: 15,
+  DOUBLE: 16,
+  BATTER_COUNT_4: 18,
+  MOST_FIELDED_BY_INFIELDERS: 22,
+  FIELDERS_CHOICE: 26
+};
+
+/**
+ * A scripted inning, played in a loop. Each step is sent the given number of
+ * seconds after the previous one; steps without an event only wait. Plays
+ * are listed by event, and the server gives them their IDs.
+ * @type {Array.<{after: number, event: ?string, plays: ?Array.<number>}>}
+ */
+module.exports = [
+  { after: 2, event: 'server:clearPredictions' },
+
+  // Time for fans to place and confirm their predictions.
+  { after: 30, event: 'server:predictionsLocked' },
+  { after: 2, event: 'server:inningStarted' },
+
+  { after: 5, event: 'server:playsCreated', plays: [Events.SINGLE] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.STEAL] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.STRIKEOUT] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.WALK] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.DOUBLE, Events.RUN_SCORED] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.FIELDERS_CHOICE] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.HOME_RUN, Events.RUN_SCORED] },
+  { after: 5, event: 'server:playsCreated', plays: [Events.FLY_OUT] },
+  {
+    after: 5,
+    event: 'server:playsCreated',
+    plays: [
+      Events.GROUND_OUT,
+      Events.DOUBLE_PLAY,
+      Events.MOST_FIELDED_BY_INFIELDERS,
+      Events.PITCH_COUNT_16,
+      Events.BATTER_COUNT_4
+    ]
+  },
+
+  { after: 2, event: 'server:inningEnded' },
+  { after: 3, event: 'server:inningResolved' },
+
+  // Time for fans to look at their results.
+  { after: 15 }
+];
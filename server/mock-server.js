@@ -0,0 +1,192 @@
+/**
+ * Mock game server for local development. It plays a scripted inning to the
+ * scenes over WebSocket, and stands in for the Section API. `npm run serve`
+ * starts it along with the dev server; `npm run mock-server` starts it on
+ * its own.
+ */
+'use strict';
+const http = require('http');
+const WebSocket = require('ws');
+const game = require('./game');
+
+// Ports the mock bridges point at. See lib/PlaybookBridge.js.
+const WEBSOCKET_PORT = 9001;
+const SECTION_API_PORT = 9002;
+
+// Protocol versions this server understands. See lib/PlaybookEvents.js.
+const PROTOCOL_VERSIONS = [1, 2];
+
+// Number of plays kept around for clients that ask to resync.
+const MAX_PLAY_HISTORY = 200;
+
+/** @type {Array.<{id: number, event: number}>} */
+const playHistory = [];
+
+// Clients remember the IDs of plays they have applied, even across restarts
+// of this server. Starting from the time keeps IDs from being reused.
+let nextPlayId = Date.now();
+
+/**
+ * Logs a message with the time and where it came from.
+ * @param {string} source
+ * @param {...*} args
+ */
+function log(source, ...args) {
+  console.log(new Date().toISOString(), `[${source}]`, ...args);
+}
+
+/**
+ * Sends a message to a client.
+ * @param {WebSocket} client
+ * @param {string} event
+ * @param {*} data
+ */
+function send(client, event, data) {
+  if (client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify({ event: event, data: data }));
+  }
+}
+
+/**
+ * Sends a message to every client.
+ * @param {WebSocket.Server} wss
+ * @param {string} event
+ * @param {*} data
+ */
+function broadcast(wss, event, data) {
+  log('game', event, data !== undefined ? JSON.stringify(data) : '');
+  wss.clients.forEach(client => send(client, event, data));
+}
+
+/**
+ * Handles a message from a client.
+ * @param {WebSocket} client
+ * @param {{event: string, data: *}} message
+ */
+function handleClientMessage(client, message) {
+  switch (message.event) {
+    case 'client:hello': {
+      const versions = (message.data && message.data.protocolVersions) || [1];
+      const common = versions.filter(version => PROTOCOL_VERSIONS.indexOf(version) !== -1);
+      send(client, 'server:hello', { protocolVersion: Math.max(1, ...common) });
+      break;
+    }
+    case 'client:resync': {
+      // Resend everything after the last play the client has. Clients
+      // ignore plays they already applied, so erring on the side of too
+      // many is fine.
+      const lastPlayId = message.data ? Number(message.data.lastPlayId) : NaN;
+      const missed = playHistory.filter(play => isNaN(lastPlayId) || play.id > lastPlayId);
+      if (missed.length > 0) {
+        send(client, 'server:playsCreated', missed);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Starts the WebSocket server that plays the scripted game.
+ * @returns {WebSocket.Server}
+ */
+function startGameServer() {
+  const wss = new WebSocket.Server({ port: WEBSOCKET_PORT });
+  wss.on('connection', client => {
+    log('ws', 'Client connected');
+    client.on('message', data => {
+      log('ws', 'Received', data);
+      try {
+        handleClientMessage(client, JSON.parse(data));
+      } catch (e) {
+        log('ws', 'Ignoring malformed message:', e.message);
+      }
+    });
+    client.on('close', () => log('ws', 'Client disconnected'));
+  });
+
+  // Play the script in a loop, whether or not anyone is watching.
+  const playStep = i => {
+    const step = game[i];
+    setTimeout(() => {
+      if (step.event === 'server:playsCreated') {
+        const plays = step.plays.map(event => ({ id: nextPlayId++, event: event }));
+        playHistory.push(...plays);
+        playHistory.splice(0, Math.max(0, playHistory.length - MAX_PLAY_HISTORY));
+        broadcast(wss, step.event, plays);
+      } else if (step.event !== undefined) {
+        broadcast(wss, step.event);
+      }
+
+      playStep((i + 1) % game.length);
+    }, step.after * 1000);
+  };
+  playStep(0);
+
+  log('ws', `Listening on ws://localhost:${WEBSOCKET_PORT}`);
+  return wss;
+}
+
+/**
+ * Starts the HTTP server that stands in for the Section API. It accepts and
+ * logs score reports and prediction submissions.
+ * @returns {http.Server}
+ */
+function startSectionAPIServer() {
+  const reportKeys = new Set();
+
+  const server = http.createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    let body = '';
+    request.on('data', chunk => body += chunk);
+    request.on('end', () => {
+      const reply = (status, data) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+      };
+
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch (e) {
+        log('api', `${request.method} ${request.url} with malformed body`);
+        reply(400, { error: 'Malformed JSON' });
+        return;
+      }
+
+      if (request.method === 'POST' && request.url === '/updateScore') {
+        const key = request.headers['idempotency-key'];
+        if (key !== undefined && reportKeys.has(key)) {
+          log('api', `Duplicate score report ${key}, ignored`);
+        } else {
+          if (key !== undefined) {
+            reportKeys.add(key);
+          }
+          log('api', `Score report ${key}:`, JSON.stringify(data));
+        }
+        reply(200, {});
+      } else if (request.method === 'POST' && request.url === '/submitPredictions') {
+        log('api', 'Predictions:', JSON.stringify(data));
+        reply(200, { accepted: true });
+      } else {
+        log('api', `${request.method} ${request.url} not found`);
+        reply(404, { error: 'Not found' });
+      }
+    });
+  });
+
+  server.listen(SECTION_API_PORT, () => {
+    log('api', `Listening on http://localhost:${SECTION_API_PORT}`);
+  });
+  return server;
+}
+
+startGameServer();
+startSectionAPIServer();
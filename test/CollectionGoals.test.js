@@ -0,0 +1,199 @@
+'use strict';
+import assert from 'assert';
+
+import PlaybookEvents from '../lib/PlaybookEvents';
+import GoalTypes, {
+  GoalTypesMetadata,
+  evaluateGoal,
+  findSatisfiedGoals,
+  getGoalProgress,
+  getGoalsForCard,
+  getGoalByServerId,
+  getSeededGoal
+} from '../lib/CollectionGoals';
+
+const {
+  SINGLE,
+  DOUBLE,
+  HOME_RUN,
+  RUN_SCORED,
+  STEAL,
+  PICK_OFF,
+  WALK,
+  HIT_BY_PITCH,
+  FLY_OUT,
+  GROUND_OUT,
+  STRIKEOUT,
+  DOUBLE_PLAY,
+  TRIPLE_PLAY,
+  NO_RUNS
+} = PlaybookEvents;
+
+/**
+ * Returns the events of the cards that a goal used.
+ * @param {Array.<string>} cards
+ * @param {{cardIndices: Array.<number>}} result
+ * @returns {Array.<string>}
+ */
+function usedCards(cards, result) {
+  return result.cardIndices.map(i => cards[i]);
+}
+
+describe('CollectionGoals', function () {
+  describe('evaluateGoal', function () {
+    it('matches identical cards', function () {
+      const cards = [SINGLE, WALK, SINGLE, SINGLE];
+      const result = evaluateGoal(GoalTypes.IDENTICAL_CARDS_3, cards);
+      assert.strictEqual(result.isMatch, true);
+      assert.deepStrictEqual(result.cardIndices, [0, 2, 3]);
+      assert.strictEqual(result.score, GoalTypesMetadata[GoalTypes.IDENTICAL_CARDS_3].score);
+      assert.strictEqual(evaluateGoal(GoalTypes.IDENTICAL_CARDS_4, cards).isMatch, false);
+    });
+
+    it('reports no cards and no score without a match', function () {
+      const result = evaluateGoal(GoalTypes.IDENTICAL_CARDS_5, [SINGLE, SINGLE]);
+      assert.deepStrictEqual(result, {
+        goal: GoalTypes.IDENTICAL_CARDS_5,
+        isMatch: false,
+        cardIndices: [],
+        score: 0
+      });
+    });
+
+    it('never matches unknown goals', function () {
+      assert.strictEqual(evaluateGoal(GoalTypes.UNKNOWN, [SINGLE, SINGLE, SINGLE]).isMatch, false);
+    });
+
+    it('matches different out cards only once per event', function () {
+      assert.strictEqual(evaluateGoal(GoalTypes.UNIQUE_OUT_CARDS_3, [FLY_OUT, FLY_OUT, GROUND_OUT]).isMatch, false);
+
+      const cards = [FLY_OUT, SINGLE, FLY_OUT, GROUND_OUT, STRIKEOUT];
+      const result = evaluateGoal(GoalTypes.UNIQUE_OUT_CARDS_3, cards);
+      assert.deepStrictEqual(usedCards(cards, result), [FLY_OUT, GROUND_OUT, STRIKEOUT]);
+    });
+
+    it('matches walks and hits by pitch together', function () {
+      const cards = [WALK, HIT_BY_PITCH, SINGLE, WALK];
+      assert.deepStrictEqual(evaluateGoal(GoalTypes.WALK_OR_HIT_BY_PITCH_3, cards).cardIndices, [0, 1, 3]);
+    });
+
+    it('uses the fewest cards that add up to three outs', function () {
+      const cards = [FLY_OUT, GROUND_OUT, TRIPLE_PLAY, STRIKEOUT];
+      assert.deepStrictEqual(evaluateGoal(GoalTypes.OUT_3, cards).cardIndices, [2]);
+      assert.strictEqual(evaluateGoal(GoalTypes.OUT_3, [FLY_OUT, GROUND_OUT]).isMatch, false);
+    });
+
+    it('overshoots three outs as little as it can', function () {
+      const cards = [DOUBLE_PLAY, DOUBLE_PLAY, FLY_OUT];
+      assert.deepStrictEqual(usedCards(cards, evaluateGoal(GoalTypes.OUT_3, cards)), [DOUBLE_PLAY, FLY_OUT]);
+    });
+
+    it('adds up bases', function () {
+      const cards = [SINGLE, DOUBLE, FLY_OUT];
+      assert.deepStrictEqual(evaluateGoal(GoalTypes.BASES_RBI_3, cards).cardIndices, [0, 1]);
+    });
+
+    it('matches cards of each color', function () {
+      assert.strictEqual(evaluateGoal(GoalTypes.EACH_COLOR_1, [SINGLE, FLY_OUT]).isMatch, true);
+      assert.strictEqual(evaluateGoal(GoalTypes.EACH_COLOR_2, [SINGLE, FLY_OUT, WALK]).isMatch, false);
+      assert.strictEqual(evaluateGoal(GoalTypes.EACH_COLOR_2, [SINGLE, FLY_OUT, WALK, STRIKEOUT]).isMatch, true);
+    });
+
+    it('matches cards of the same color', function () {
+      const cards = [SINGLE, FLY_OUT, WALK, HOME_RUN];
+      assert.deepStrictEqual(evaluateGoal(GoalTypes.SAME_COLOR_3, cards).cardIndices, [0, 2, 3]);
+      assert.strictEqual(evaluateGoal(GoalTypes.SAME_COLOR_4, cards).isMatch, false);
+    });
+
+    it('finds a distinct card for each part of a combination', function () {
+      // The home run could be the RBI, but the single is the only base hit.
+      const cards = [HOME_RUN, STEAL, SINGLE];
+      const result = evaluateGoal(GoalTypes.BASE_STEAL_RBI, cards);
+      assert.deepStrictEqual(usedCards(cards, result), [SINGLE, STEAL, HOME_RUN]);
+      assert.strictEqual(evaluateGoal(GoalTypes.BASE_STEAL_RBI, [SINGLE, STEAL]).isMatch, false);
+      assert.strictEqual(evaluateGoal(GoalTypes.ON_BASE_STEAL_PICK_OFF, [WALK, PICK_OFF, STEAL]).isMatch, true);
+    });
+
+    it('matches a full house', function () {
+      const cards = [WALK, SINGLE, WALK, SINGLE, WALK];
+      assert.deepStrictEqual(evaluateGoal(GoalTypes.FULL_HOUSE, cards).cardIndices, [0, 2, 4, 1, 3]);
+      assert.strictEqual(evaluateGoal(GoalTypes.FULL_HOUSE, [WALK, WALK, WALK, WALK, SINGLE]).isMatch, false);
+    });
+  });
+
+  describe('findSatisfiedGoals', function () {
+    it('lists every goal the cards satisfy', function () {
+      const goals = findSatisfiedGoals([SINGLE, SINGLE, SINGLE]).map(result => result.goal);
+      assert.deepStrictEqual(goals.sort(), [
+        GoalTypes.BASES_RBI_3,
+        GoalTypes.IDENTICAL_CARDS_3,
+        GoalTypes.SAME_COLOR_3
+      ]);
+    });
+
+    it('lists nothing for an empty hand', function () {
+      assert.deepStrictEqual(findSatisfiedGoals([]), []);
+    });
+  });
+
+  describe('getGoalProgress', function () {
+    it('counts towards the goal', function () {
+      assert.deepStrictEqual(getGoalProgress(GoalTypes.IDENTICAL_CARDS_4, [SINGLE, SINGLE, WALK]), {
+        current: 2,
+        required: 4,
+        label: '2/4 identical',
+        isAchievable: false
+      });
+    });
+
+    it('stops counting once the goal is reached', function () {
+      const progress = getGoalProgress(GoalTypes.OUT_3, [TRIPLE_PLAY, DOUBLE_PLAY]);
+      assert.strictEqual(progress.current, 3);
+      assert.strictEqual(progress.isAchievable, true);
+    });
+
+    it('reports no progress for unknown goals', function () {
+      assert.strictEqual(getGoalProgress(GoalTypes.UNKNOWN, [SINGLE]).required, 0);
+    });
+  });
+
+  describe('getGoalsForCard', function () {
+    it('lists the goals a card can help with', function () {
+      const goals = getGoalsForCard(STEAL);
+      assert.ok(goals.includes(GoalTypes.BASE_STEAL_RBI));
+      assert.ok(goals.includes(GoalTypes.BASES_RBI_3));
+      assert.ok(!goals.includes(GoalTypes.OUT_3));
+      assert.ok(getGoalsForCard(RUN_SCORED).includes(GoalTypes.BASE_STEAL_RBI));
+    });
+
+    it('lists nothing for events without a card', function () {
+      assert.deepStrictEqual(getGoalsForCard(NO_RUNS), []);
+    });
+  });
+
+  describe('getGoalByServerId', function () {
+    it('finds goals by their server ID', function () {
+      assert.strictEqual(getGoalByServerId(11), GoalTypes.BASE_STEAL_RBI);
+    });
+
+    it('uses UNKNOWN for other IDs', function () {
+      assert.strictEqual(getGoalByServerId(99), GoalTypes.UNKNOWN);
+    });
+  });
+
+  describe('getSeededGoal', function () {
+    it('picks the same visible goal for the same seed', function () {
+      const goal = getSeededGoal('game-1');
+      assert.strictEqual(getSeededGoal('game-1'), goal);
+      assert.strictEqual(GoalTypesMetadata[goal].isHidden, false);
+    });
+
+    it('spreads seeds over the visible goals', function () {
+      const goals = new Set();
+      for (let i = 0; i < 50; i++) {
+        goals.add(getSeededGoal(`game-${i}`));
+      }
+      assert.ok(goals.size > 1);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+import assert from 'assert';
+
+import PlaybookEvents from '../lib/PlaybookEvents';
+import { parsePlays, filterUnappliedPlays, rememberPlays } from '../lib/Plays';
+
+describe('Plays', function () {
+  describe('parsePlays', function () {
+    it('parses plays with and without IDs', function () {
+      const single = PlaybookEvents.getId(PlaybookEvents.SINGLE);
+      assert.deepStrictEqual(parsePlays([single, { id: 7, event: single }, { event: single }]), [
+        { id: null, event: PlaybookEvents.SINGLE },
+        { id: '7', event: PlaybookEvents.SINGLE },
+        { id: null, event: PlaybookEvents.SINGLE }
+      ]);
+    });
+
+    it('skips invalid plays and keeps the rest', function () {
+      const walk = PlaybookEvents.getId(PlaybookEvents.WALK);
+      assert.deepStrictEqual(parsePlays([null, 'walk', { id: 1, event: walk }]), [
+        { id: '1', event: PlaybookEvents.WALK }
+      ]);
+    });
+
+    it('ignores payloads that are not a list', function () {
+      assert.deepStrictEqual(parsePlays(null), []);
+    });
+  });
+
+  describe('filterUnappliedPlays', function () {
+    it('drops repeats, also within the same payload', function () {
+      const plays = [
+        { id: '1', event: PlaybookEvents.SINGLE },
+        { id: '2', event: PlaybookEvents.WALK },
+        { id: '2', event: PlaybookEvents.WALK },
+        { id: null, event: PlaybookEvents.STEAL }
+      ];
+      assert.deepStrictEqual(filterUnappliedPlays(plays, ['1']), [plays[1], plays[3]]);
+    });
+  });
+
+  describe('rememberPlays', function () {
+    it('remembers only the most recent IDs', function () {
+      const plays = [];
+      for (let i = 0; i < 250; i++) {
+        plays.push({ id: String(i), event: PlaybookEvents.SINGLE });
+      }
+      const ids = rememberPlays([], plays);
+      assert.strictEqual(ids.length, 200);
+      assert.strictEqual(ids[ids.length - 1], '249');
+    });
+  });
+});
@@ -0,0 +1,382 @@
+'use strict';
+import assert from 'assert';
+
+import PlaybookEvents from '../lib/PlaybookEvents';
+import PredictionModel, {
+  DefaultRules,
+  ExclusiveModes,
+  GameStages,
+  SubmissionStatuses,
+  parseRules
+} from '../lib/PredictionModel';
+
+/**
+ * Places every ball of the model, one on each of the given events in turn.
+ * @param {PredictionModel} model
+ * @param {Array.<string>} events
+ */
+function placeAll(model, events) {
+  model.targets.forEach((target, i) => model.predict(i, events[i % events.length]));
+}
+
+/**
+ * Returns a model whose prediction is confirmed.
+ * @returns {PredictionModel}
+ */
+function createConfirmedModel() {
+  const model = new PredictionModel();
+  placeAll(model, [
+    PlaybookEvents.SINGLE,
+    PlaybookEvents.SINGLE,
+    PlaybookEvents.HOME_RUN,
+    PlaybookEvents.STEAL,
+    PlaybookEvents.DOUBLE
+  ]);
+  model.confirm();
+  return model;
+}
+
+describe('PredictionModel', function () {
+  describe('placement', function () {
+    it('starts with every ball in the slot', function () {
+      const model = new PredictionModel();
+      assert.strictEqual(model.targets.length, DefaultRules.ballCount);
+      assert.ok(model.targets.every(target => target === null));
+      assert.strictEqual(model.stage, GameStages.INITIAL);
+    });
+
+    it('counts the balls on each event', function () {
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.SINGLE);
+      model.predict(1, PlaybookEvents.SINGLE);
+      model.predict(2, PlaybookEvents.STEAL);
+      assert.deepStrictEqual(model.predictionCounts, {
+        [PlaybookEvents.SINGLE]: 2,
+        [PlaybookEvents.STEAL]: 1
+      });
+    });
+
+    it('moves a placed ball to its new event', function () {
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.SINGLE);
+      model.predict(0, PlaybookEvents.DOUBLE);
+      assert.strictEqual(model.targets[0], PlaybookEvents.DOUBLE);
+      assert.deepStrictEqual(model.predictionCounts, { [PlaybookEvents.DOUBLE]: 1 });
+    });
+
+    it('moves to CONTINUE once every ball is placed', function () {
+      const model = new PredictionModel();
+      placeAll(model, [PlaybookEvents.SINGLE]);
+      assert.strictEqual(model.stage, GameStages.CONTINUE);
+    });
+
+    it('tells the view about every ball that moves', function () {
+      const model = new PredictionModel();
+      const moves = [];
+      model.emitter.on(model.EVENT_BALL_MOVED, (index, target) => moves.push([index, target]));
+      model.predict(3, PlaybookEvents.WALK);
+      assert.deepStrictEqual(moves, [[3, PlaybookEvents.WALK]]);
+    });
+
+    it('blocks the other side of an exclusive group', function () {
+      const model = new PredictionModel();
+      let blocked = null;
+      model.emitter.on(model.EVENT_PREDICTION_BLOCKED, event => blocked = event);
+      model.predict(0, PlaybookEvents.NO_RUNS);
+      assert.strictEqual(model.predict(1, PlaybookEvents.RUN_SCORED), false);
+      assert.strictEqual(model.targets[1], null);
+      assert.strictEqual(blocked, PlaybookEvents.RUN_SCORED);
+    });
+
+    it('moves the other side of an exclusive group in MOVE mode', function () {
+      const model = new PredictionModel();
+      model.applyRules(Object.assign({}, DefaultRules, { version: 1, exclusiveMode: ExclusiveModes.MOVE }));
+      model.predict(0, PlaybookEvents.NO_RUNS);
+      model.predict(1, PlaybookEvents.NO_RUNS);
+      assert.strictEqual(model.predict(2, PlaybookEvents.RUN_SCORED), true);
+      assert.deepStrictEqual(model.targets.slice(0, 3), [
+        PlaybookEvents.RUN_SCORED,
+        PlaybookEvents.RUN_SCORED,
+        PlaybookEvents.RUN_SCORED
+      ]);
+      assert.deepStrictEqual(model.predictionCounts, { [PlaybookEvents.RUN_SCORED]: 3 });
+    });
+
+    it('refuses predictions once they are confirmed', function () {
+      const model = createConfirmedModel();
+      assert.strictEqual(model.predict(0, PlaybookEvents.WALK), false);
+      assert.strictEqual(model.targets[0], PlaybookEvents.SINGLE);
+    });
+  });
+
+  describe('undo', function () {
+    it('takes a ball off the field', function () {
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.SINGLE);
+      assert.strictEqual(model.undoPrediction(0), true);
+      assert.strictEqual(model.targets[0], null);
+      assert.deepStrictEqual(model.predictionCounts, {});
+    });
+
+    it('goes back to INITIAL from CONTINUE', function () {
+      const model = new PredictionModel();
+      placeAll(model, [PlaybookEvents.SINGLE]);
+      model.undoPrediction(2);
+      assert.strictEqual(model.stage, GameStages.INITIAL);
+      assert.deepStrictEqual(model.predictionCounts, {
+        [PlaybookEvents.SINGLE]: DefaultRules.ballCount - 1
+      });
+    });
+
+    it('ignores balls that are not on the field', function () {
+      const model = new PredictionModel();
+      assert.strictEqual(model.undoPrediction(0), false);
+    });
+
+    it('ignores balls once the prediction is confirmed', function () {
+      const model = createConfirmedModel();
+      assert.strictEqual(model.undoPrediction(0), false);
+      assert.strictEqual(model.stage, GameStages.CONFIRMED);
+    });
+  });
+
+  describe('confirm', function () {
+    it('confirms a complete prediction', function () {
+      const model = new PredictionModel();
+      placeAll(model, [PlaybookEvents.SINGLE]);
+      assert.strictEqual(model.confirm(), true);
+      assert.strictEqual(model.stage, GameStages.CONFIRMED);
+    });
+
+    it('refuses an incomplete prediction', function () {
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.SINGLE);
+      assert.strictEqual(model.confirm(), false);
+      assert.strictEqual(model.stage, GameStages.INITIAL);
+    });
+
+    it('goes back to CONTINUE when the submission fails', function () {
+      const model = createConfirmedModel();
+      model.failSubmission(SubmissionStatuses.REJECTED);
+      assert.strictEqual(model.stage, GameStages.CONTINUE);
+      assert.strictEqual(model.submissionStatus, SubmissionStatuses.REJECTED);
+    });
+
+    it('locks whatever is on the field', function () {
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.SINGLE);
+      model.lock();
+      assert.strictEqual(model.stage, GameStages.LOCKED);
+    });
+  });
+
+  describe('clear', function () {
+    it('takes every ball off the field', function () {
+      const model = createConfirmedModel();
+      model.clear();
+      assert.ok(model.targets.every(target => target === null));
+      assert.deepStrictEqual(model.predictionCounts, {});
+      assert.strictEqual(model.stage, GameStages.INITIAL);
+    });
+
+    it('tells the view about every count that goes away', function () {
+      const model = createConfirmedModel();
+      const oldCounts = model.predictionCounts;
+      const emitted = [];
+      model.emitter.on(model.EVENT_PREDICTION_COUNTS_CHANGED, (value, oldValue) => emitted.push([value, oldValue]));
+      model.clear();
+      assert.deepStrictEqual(emitted, [[{}, oldCounts]]);
+    });
+
+    it('resets the inning but keeps the score', function () {
+      const model = createConfirmedModel();
+      model.applyPlays([{ id: '1', event: PlaybookEvents.SINGLE }]);
+      model.submissionStatus = SubmissionStatuses.ACCEPTED;
+      model.clear();
+      assert.deepStrictEqual(model.inningScores, {});
+      assert.strictEqual(model.submissionStatus, SubmissionStatuses.NONE);
+      assert.ok(model.score > 0);
+    });
+
+    it('applies rules that arrived during the inning', function () {
+      const model = createConfirmedModel();
+      model.updateRules(parseRules({ version: 2, ballCount: 3 }));
+      assert.strictEqual(model.targets.length, DefaultRules.ballCount);
+      model.clear();
+      assert.strictEqual(model.rules.version, 2);
+      assert.strictEqual(model.targets.length, 3);
+    });
+  });
+
+  describe('scoring', function () {
+    it('scores each ball on a play', function () {
+      const model = createConfirmedModel();
+      const scored = model.applyPlays([{ id: '1', event: PlaybookEvents.SINGLE }]);
+      const points = DefaultRules.scoreValues[PlaybookEvents.SINGLE] * 2;
+      assert.deepStrictEqual(scored, [{ id: '1', event: PlaybookEvents.SINGLE, points: points, balls: [0, 1] }]);
+      assert.strictEqual(model.score, points);
+      assert.deepStrictEqual(model.inningScores, { [PlaybookEvents.SINGLE]: points });
+    });
+
+    it('does not score plays that were not predicted', function () {
+      const model = createConfirmedModel();
+      assert.deepStrictEqual(model.applyPlays([{ id: '1', event: PlaybookEvents.WALK }]), []);
+      assert.strictEqual(model.score, 0);
+    });
+
+    it('does not score before the prediction is confirmed', function () {
+      const model = new PredictionModel();
+      placeAll(model, [PlaybookEvents.SINGLE]);
+      assert.deepStrictEqual(model.applyPlays([{ id: '1', event: PlaybookEvents.SINGLE }]), []);
+      assert.strictEqual(model.score, 0);
+    });
+
+    it('ignores plays that were already applied', function () {
+      const model = createConfirmedModel();
+      model.applyPlays([{ id: '1', event: PlaybookEvents.HOME_RUN }]);
+      model.applyPlays([{ id: '1', event: PlaybookEvents.HOME_RUN }]);
+      assert.strictEqual(model.score, DefaultRules.scoreValues[PlaybookEvents.HOME_RUN]);
+    });
+
+    it('scores plays without IDs every time', function () {
+      const model = createConfirmedModel();
+      model.applyPlays([{ id: null, event: PlaybookEvents.HOME_RUN }]);
+      model.applyPlays([{ id: null, event: PlaybookEvents.HOME_RUN }]);
+      assert.strictEqual(model.score, DefaultRules.scoreValues[PlaybookEvents.HOME_RUN] * 2);
+    });
+
+    it('keeps scoring while the inning resolves', function () {
+      const model = createConfirmedModel();
+      model.lock();
+      model.endInning();
+      model.applyPlays([{ id: '1', event: PlaybookEvents.HOME_RUN }]);
+      model.resolveInning();
+      model.applyPlays([{ id: '2', event: PlaybookEvents.HOME_RUN }]);
+      assert.strictEqual(model.score, DefaultRules.scoreValues[PlaybookEvents.HOME_RUN]);
+      assert.strictEqual(model.stage, GameStages.RESULTS);
+    });
+
+    it('does not score predictions that were never locked', function () {
+      const model = new PredictionModel();
+      placeAll(model, [PlaybookEvents.SINGLE]);
+      model.endInning();
+      model.resolveInning();
+      assert.strictEqual(model.stage, GameStages.CONTINUE);
+      assert.deepStrictEqual(model.applyPlays([{ id: '1', event: PlaybookEvents.SINGLE }]), []);
+      assert.strictEqual(model.score, 0);
+    });
+  });
+
+  describe('rules', function () {
+    it('clamps the ball count', function () {
+      assert.strictEqual(parseRules({ version: 1, ballCount: 9 }).ballCount, 5);
+      assert.strictEqual(parseRules({ version: 1, ballCount: 0 }).ballCount, 1);
+    });
+
+    it('uses the default ball count for counts that are not integers', function () {
+      assert.strictEqual(parseRules({ version: 1, ballCount: '3' }).ballCount, DefaultRules.ballCount);
+      assert.strictEqual(parseRules({ version: 1, ballCount: NaN }).ballCount, DefaultRules.ballCount);
+      assert.strictEqual(parseRules({ version: 1, ballCount: 2.5 }).ballCount, DefaultRules.ballCount);
+    });
+  });
+
+  describe('saved state', function () {
+    it('restores what it saved', function () {
+      const model = createConfirmedModel();
+      model.applyPlays([{ id: '1', event: PlaybookEvents.SINGLE }]);
+
+      const restored = new PredictionModel();
+      restored.fromJSON(model.toJSON());
+      assert.deepStrictEqual(restored.targets, model.targets);
+      assert.deepStrictEqual(restored.predictionCounts, model.predictionCounts);
+      assert.deepStrictEqual(restored.inningScores, model.inningScores);
+      assert.deepStrictEqual(restored.appliedPlayIds, ['1']);
+      assert.strictEqual(restored.stage, GameStages.CONFIRMED);
+      assert.strictEqual(restored.score, model.score);
+    });
+
+    it('tells the view about every restored count', function () {
+      const model = createConfirmedModel();
+      const restored = new PredictionModel();
+      const emitted = [];
+      restored.emitter.on(restored.EVENT_PREDICTION_COUNTS_CHANGED, (value, oldValue) => emitted.push([value, oldValue]));
+      restored.fromJSON(model.toJSON());
+      assert.deepStrictEqual(emitted, [[model.predictionCounts, {}]]);
+      assert.strictEqual(model.predictionCounts[PlaybookEvents.SINGLE], 2);
+    });
+
+    it('restores the saved rules', function () {
+      const model = new PredictionModel();
+      model.updateRules(parseRules({ version: 2, ballCount: 3, scoreValues: [] }));
+      model.rules.scoreValues[PlaybookEvents.SINGLE] = 7;
+
+      const restored = new PredictionModel();
+      restored.fromJSON(model.toJSON());
+      assert.strictEqual(restored.rules.version, 2);
+      assert.strictEqual(restored.targets.length, 3);
+      assert.strictEqual(restored.rules.scoreValues[PlaybookEvents.SINGLE], 7);
+    });
+
+    it('keeps rules that are newer than the saved ones', function () {
+      const saved = new PredictionModel().toJSON();
+      const model = new PredictionModel();
+      model.updateRules(parseRules({ version: 7, ballCount: 3 }));
+      model.fromJSON(saved);
+      assert.strictEqual(model.rules.version, 7);
+      assert.strictEqual(model.targets.length, 3);
+    });
+
+    it('keeps newer rules for the next round of a confirmed prediction', function () {
+      const saved = createConfirmedModel().toJSON();
+      const model = new PredictionModel();
+      model.updateRules(parseRules({ version: 7, ballCount: 3 }));
+      model.fromJSON(saved);
+      assert.strictEqual(model.rules.version, DefaultRules.version);
+      assert.strictEqual(model.targets.length, DefaultRules.ballCount);
+      model.clear();
+      assert.strictEqual(model.rules.version, 7);
+      assert.strictEqual(model.targets.length, 3);
+    });
+
+    it('checks the saved rules', function () {
+      const saved = JSON.parse(new PredictionModel().toJSON());
+      saved.rules.ballCount = 9;
+      const model = new PredictionModel();
+      model.fromJSON(JSON.stringify(saved));
+      assert.strictEqual(model.rules.ballCount, 5);
+      assert.strictEqual(model.targets.length, 5);
+    });
+
+    it('refuses saved state without balls', function () {
+      const model = new PredictionModel();
+      assert.throws(() => model.fromJSON('{}'));
+    });
+
+    it('refuses balls on areas that are not on the field', function () {
+      const saved = JSON.parse(createConfirmedModel().toJSON());
+      saved.balls[0].selectedTarget = 'BOGUS';
+      const model = new PredictionModel();
+      assert.throws(() => model.fromJSON(JSON.stringify(saved)), /BOGUS/);
+    });
+
+    it('refuses saved state without a stage or score', function () {
+      const saved = JSON.parse(createConfirmedModel().toJSON());
+      const model = new PredictionModel();
+      assert.throws(() => model.fromJSON(JSON.stringify(Object.assign({}, saved, { stage: undefined }))));
+      assert.throws(() => model.fromJSON(JSON.stringify(Object.assign({}, saved, { score: 'many' }))));
+    });
+
+    it('leaves the game as it was when saved state is refused', function () {
+      const saved = JSON.parse(createConfirmedModel().toJSON());
+      saved.score = null;
+      const model = new PredictionModel();
+      model.predict(0, PlaybookEvents.STRIKEOUT);
+      const emitted = [];
+      model.emitter.on(model.EVENT_CHANGED, () => emitted.push(true));
+      assert.throws(() => model.fromJSON(JSON.stringify(saved)));
+      assert.deepStrictEqual(emitted, []);
+      assert.strictEqual(model.targets[0], PlaybookEvents.STRIKEOUT);
+      assert.strictEqual(model.stage, GameStages.INITIAL);
+    });
+  });
+});